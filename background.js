@@ -1,20 +1,227 @@
 import { TabManager } from './src/tabManager.js';
+import { AutoGrouper } from './src/autoGrouper.js';
+import { CorrectionTracker } from './src/correctionTracker.js';
+import { getHistory } from './src/layoutHistory.js';
+import { loadArchive, takeFromArchive } from './src/archive.js';
+import { saveToBookmarks } from './src/exporter.js';
+import { loadWorkspaces, renameWorkspace, deleteWorkspace, importWorkspaces } from './src/workspaces.js';
 
 // Initialize the Tab Manager
 const tabManager = new TabManager();
 
 // Setup Listeners
-// Manual trigger only - listeners removed.
+// Auto mode is opt-in per window; grouping is otherwise triggered from the popup.
+const autoGrouper = new AutoGrouper(tabManager);
+autoGrouper.start();
+
+// Moves and renames in Grooopy's groups are remembered as corrections
+const correctionTracker = new CorrectionTracker(tabManager);
+correctionTracker.start();
+
+// Switching tabs keeps only the active sub-group of a split topic open
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  tabManager.focusSubGroup(tabId).catch(e => console.warn("[Grooopy] Could not focus sub-group:", e));
+});
+
+
+// Tab search: the offscreen index follows pages as they load and close
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete') return;
+  tabManager.indexTab(tab).catch(e => console.warn("[Grooopy] Could not index tab:", e));
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabManager.unindexTabs([tabId]).catch(e => console.warn("[Grooopy] Could not unindex tab:", e));
+});
+
+// Omnibox: "gr <query>" lists matching tabs; picking one (or Enter for the best match) switches to it
+const OMNIBOX_TAB_PREFIX = 'tab:';
+let omniboxQuery = '';
+
+chrome.omnibox.setDefaultSuggestion({ description: 'Switch to the open tab best matching <match>%s</match>' });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  omniboxQuery = text;
+  tabManager.searchTabs(text, 6)
+    .then(results => {
+      if (text !== omniboxQuery) return; // A newer query is on its way
+      suggest(results.map(result => ({
+        content: `${OMNIBOX_TAB_PREFIX}${result.tabId}`,
+        description: `${escapeXml(result.title || result.url)} <dim>-</dim> <url>${escapeXml(result.url)}</url>`
+      })));
+    })
+    .catch(e => console.warn("[Grooopy] Tab search failed:", e));
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  try {
+    const tabId = text.startsWith(OMNIBOX_TAB_PREFIX)
+      ? Number(text.slice(OMNIBOX_TAB_PREFIX.length))
+      : (await tabManager.searchTabs(text, 1))[0]?.tabId;
+    if (tabId !== undefined) await tabManager.activateTab(tabId);
+  } catch (e) {
+    console.warn("[Grooopy] Could not switch to tab:", e);
+  }
+});
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
 
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'GROUP_NOW') {
-    tabManager.regroupTabs();
-    sendResponse({ status: 'ok' });
+    // Respond once grouping finished, so the popup's Undo sees the new snapshot
+    tabManager.regroupTabs(request.scope, request.strategy)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'PREVIEW_GROUPS') {
+    tabManager.previewGroups(request.strategy)
+      .then(plan => sendResponse(plan ? { status: 'ok', plan } : { status: 'error' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'APPLY_PLAN') {
+    tabManager.applyPlan(request.plan)
+      .then(status => sendResponse({ status }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'FIND_DUPLICATES') {
+    tabManager.findDuplicates()
+      .then(duplicates => sendResponse({ status: 'ok', duplicates }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'CLOSE_DUPLICATES') {
+    tabManager.closeDuplicates(request.sets, request.keep)
+      .then(closed => sendResponse({ status: 'ok', closed: closed.length }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_GROUP_AGES') {
+    tabManager.getGroupAges()
+      .then(groups => sendResponse({ status: 'ok', groups }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'CLOSE_GROUP') {
+    tabManager.closeGroup(request.groupId)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'ARCHIVE_GROUP') {
+    tabManager.archiveGroup(request.groupId)
+      .then(entry => sendResponse({ status: 'ok', entry }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_ARCHIVE') {
+    loadArchive()
+      .then(archive => sendResponse({ status: 'ok', archive }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'REOPEN_ARCHIVED') {
+    tabManager.reopenArchived(request.id)
+      .then(found => sendResponse({ status: found ? 'ok' : 'missing' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'DELETE_ARCHIVED') {
+    takeFromArchive(request.id)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'SAVE_WORKSPACE') {
+    tabManager.saveWorkspace(request.name)
+      .then(workspace => sendResponse(workspace ? { status: 'ok', workspace } : { status: 'empty' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_WORKSPACES') {
+    loadWorkspaces()
+      .then(workspaces => sendResponse({ status: 'ok', workspaces }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'RESTORE_WORKSPACE') {
+    tabManager.restoreWorkspace(request.id)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'RENAME_WORKSPACE') {
+    renameWorkspace(request.id, request.name)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'DELETE_WORKSPACE') {
+    deleteWorkspace(request.id)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'IMPORT_WORKSPACES') {
+    importWorkspaces(request.workspaces)
+      .then(count => sendResponse({ status: 'ok', count }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_EXPORT_GROUPS') {
+    tabManager.getExportGroups(request.source, { strategy: request.strategy, descriptions: request.descriptions })
+      .then(groups => sendResponse(groups ? { status: 'ok', groups } : { status: 'empty' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'SAVE_TO_BOOKMARKS') {
+    saveToBookmarks(request.groups, request.title)
+      .then(folder => sendResponse({ status: 'ok', folderId: folder.id }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'SEARCH_TABS') {
+    tabManager.searchTabs(request.query, request.limit)
+      .then(results => sendResponse({ status: 'ok', results }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'ACTIVATE_TAB') {
+    tabManager.activateTab(request.tabId)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
   } else if (request.action === 'UNGROUP_ALL') {
-    chrome.tabs.query({ currentWindow: true }, (tabs) => {
-      tabManager.ungroupAll(tabs);
-      sendResponse({ status: 'ok' });
-    });
+    chrome.tabs.query({ currentWindow: true })
+      .then(tabs => tabManager.ungroupAll(tabs))
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'UNDO_LAST') {
+    tabManager.undoLast()
+      .then(status => sendResponse({ status }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_UNDO_COUNT') {
+    getHistory()
+      .then(history => sendResponse({ status: 'ok', count: history.length }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_GROUPS') {
+    chrome.tabs.query({ currentWindow: true })
+      .then(tabs => tabManager.getExistingGroups(tabs))
+      .then(groups => sendResponse({ status: 'ok', groups }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true; // Keep channel open for async response
+  } else if (request.action === 'SET_GROUP_PINNED') {
+    tabManager.setGroupPinned(request.groupId, request.pinned)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_EXTRACTION_REPORT') {
+    tabManager.getExtractionReport()
+      .then(report => sendResponse({ status: 'ok', report }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_RUN_REPORT') {
+    tabManager.getRunReport()
+      .then(report => sendResponse({ status: 'ok', report }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'GET_AUTO_GROUP') {
+    autoGrouper.isEnabled(request.windowId)
+      .then(enabled => sendResponse({ status: 'ok', enabled }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
+  } else if (request.action === 'SET_AUTO_GROUP') {
+    autoGrouper.setEnabled(request.windowId, request.enabled)
+      .then(() => sendResponse({ status: 'ok' }))
+      .catch(error => sendResponse({ status: 'error', error: error.message }));
+    return true;
   }
 });
@@ -0,0 +1,139 @@
+/**
+ * Grooopy clustering benchmark
+ * Runs ClusteringEngine.clusterTabs on synthetic tabs under Node.
+ *
+ * Usage: npm run bench -- [--tabs 100] [--batch 1,8,16,32] [--model minilm] [--strategy hac] [--stub]
+ *        npm run bench -- --check
+ *
+ *   --model Registry id from src/models.js (bundled models need a browser)
+ *   --strategy Registry id from src/clusteringStrategies.js
+ *   --stub  Replace the model with a deterministic hashing embedder. Measures
+ *           everything except inference and needs no model download.
+ *   --check Verify the optimized HAC against bench/referenceHac.js on fixed
+ *           fixtures and hold it to a time budget for 500 tabs (stub embedder).
+ *           Exits non-zero on any mismatch or overrun.
+ */
+
+import { env } from '@xenova/transformers';
+import { ClusteringEngine } from '../src/clustering.js';
+import { createTabFixtures } from './fixtures.js';
+import { referenceAgglomerativeClustering } from './referenceHac.js';
+
+// No Cache API under Node: cache model files on disk instead
+env.useBrowserCache = false;
+
+// Similarity matrix plus HAC for 500 tabs, leaving headroom for slower machines
+const HAC_BUDGET_MS = 1500;
+
+function parseArgs(argv) {
+    const args = { tabs: 100, batch: [1, 8, 16, 32], model: undefined, strategy: undefined, stub: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--tabs') args.tabs = parseInt(argv[++i], 10);
+        else if (argv[i] === '--batch') args.batch = argv[++i].split(',').map(n => parseInt(n, 10));
+        else if (argv[i] === '--model') args.model = argv[++i];
+        else if (argv[i] === '--strategy') args.strategy = argv[++i];
+        else if (argv[i] === '--stub') args.stub = true;
+        else if (argv[i] === '--check') args.check = true;
+    }
+    return args;
+}
+
+/**
+ * Stand-in for the feature-extraction pipeline: hashes words into a
+ * normalized bag-of-words vector with the same call shape as the real one
+ */
+function createStubExtractor(dim = 384) {
+    const embed = (text) => {
+        const vec = new Float32Array(dim);
+        for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+            let h = 2166136261;
+            for (let i = 0; i < word.length; i++) h = Math.imul(h ^ word.charCodeAt(i), 16777619);
+            vec[(h >>> 0) % dim] += 1;
+        }
+        const mag = Math.hypot(...vec) || 1;
+        return vec.map(v => v / mag);
+    };
+
+    return async (input) => {
+        const texts = Array.isArray(input) ? input : [input];
+        const data = new Float32Array(texts.length * dim);
+        texts.forEach((text, i) => data.set(embed(text), i * dim));
+        return { data, dims: [texts.length, dim] };
+    };
+}
+
+/**
+ * Embedded tab vectors for a fixture set, as clusterTabs would see them
+ */
+async function createTabVectors(count, seed) {
+    const engine = new ClusteringEngine({ multilingualFallback: false });
+    engine.extractor = createStubExtractor();
+    const vectors = await engine.generateEmbeddings(engine.extractAndEnrichTabs(createTabFixtures(count, seed)));
+    return { engine, vectors };
+}
+
+async function check() {
+    let failures = 0;
+
+    for (const count of [12, 40, 100, 250]) {
+        for (const seed of [1, 42, 1234]) {
+            for (const targetGroups of [2, 6, 10]) {
+                const { engine, vectors } = await createTabVectors(count, seed);
+                const optimized = engine.agglomerativeClustering(vectors, engine.buildSimilarityMatrix(vectors), targetGroups);
+                const reference = referenceAgglomerativeClustering(engine, vectors, targetGroups);
+
+                const same = JSON.stringify(optimized.map(c => c.indices)) === JSON.stringify(reference.map(c => c.indices));
+                if (!same) {
+                    failures++;
+                    console.log(`MISMATCH: ${count} tabs, seed ${seed}, target ${targetGroups}`);
+                }
+            }
+        }
+    }
+    console.log(failures === 0 ? 'HAC output identical to reference on all fixtures' : `${failures} fixture(s) differ`);
+
+    const { engine, vectors } = await createTabVectors(500, 42);
+    const start = performance.now();
+    const clusters = engine.agglomerativeClustering(vectors, engine.buildSimilarityMatrix(vectors), 10);
+    const elapsed = performance.now() - start;
+
+    const referenceStart = performance.now();
+    referenceAgglomerativeClustering(engine, vectors, 10);
+    const referenceElapsed = performance.now() - referenceStart;
+
+    const withinBudget = elapsed <= HAC_BUDGET_MS;
+    console.log(`500 tabs: ${elapsed.toFixed(0)}ms (budget ${HAC_BUDGET_MS}ms, reference ${referenceElapsed.toFixed(0)}ms), ${clusters.length} clusters`);
+    if (!withinBudget) console.log('OVER BUDGET');
+
+    if (failures > 0 || !withinBudget) process.exit(1);
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.check) return check();
+
+    const tabs = createTabFixtures(args.tabs);
+    const stub = args.stub ? createStubExtractor() : null;
+
+    console.log(`Benchmarking ${tabs.length} tabs${args.stub ? ' (stub embedder)' : ''}` +
+        (args.strategy ? `, strategy ${args.strategy}` : ''));
+
+    for (const batchSize of args.batch) {
+        const engine = new ClusteringEngine({
+            batchSize, model: args.model, strategy: args.strategy, multilingualFallback: !stub
+        });
+        if (stub) engine.extractor = stub;
+        await engine.init(); // Model load is not part of the measurement
+
+        const start = performance.now();
+        const groups = await engine.clusterTabs(tabs, 1920);
+        const elapsed = performance.now() - start;
+
+        console.log(`batch ${String(batchSize).padStart(3)}: ${elapsed.toFixed(0).padStart(6)}ms, ${groups.length} groups`);
+    }
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
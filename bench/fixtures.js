@@ -0,0 +1,73 @@
+/**
+ * Synthetic tab fixtures for benchmarking
+ * Tabs are drawn from a handful of topics spread across several sites each,
+ * so clustering has real structure to find.
+ */
+
+const TOPICS = [
+    {
+        sites: ['react.dev', 'stackoverflow.com', 'medium.com', 'github.com'],
+        words: ['react', 'hooks', 'useEffect', 'component', 'state', 'props', 'jsx', 'render', 'context', 'reducer']
+    },
+    {
+        sites: ['nytimes.com', 'bbc.co.uk', 'theguardian.com', 'reuters.com'],
+        words: ['election', 'senate', 'vote', 'policy', 'campaign', 'poll', 'candidate', 'debate', 'congress', 'ballot']
+    },
+    {
+        sites: ['amazon.com', 'bestbuy.com', 'newegg.com', 'reddit.com'],
+        words: ['laptop', 'review', 'price', 'battery', 'keyboard', 'display', 'deal', 'specs', 'gpu', 'ultrabook']
+    },
+    {
+        sites: ['allrecipes.com', 'seriouseats.com', 'youtube.com', 'bonappetit.com'],
+        words: ['recipe', 'pasta', 'sauce', 'garlic', 'oven', 'bake', 'dinner', 'tomato', 'cheese', 'quick']
+    },
+    {
+        sites: ['docs.python.org', 'realpython.com', 'stackoverflow.com', 'pypi.org'],
+        words: ['python', 'asyncio', 'typing', 'dataclass', 'pandas', 'virtualenv', 'decorator', 'generator', 'pip', 'module']
+    },
+    {
+        sites: ['booking.com', 'tripadvisor.com', 'airbnb.com', 'lonelyplanet.com'],
+        words: ['hotel', 'flight', 'lisbon', 'itinerary', 'beach', 'museum', 'booking', 'guide', 'weekend', 'travel']
+    }
+];
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) so runs are comparable
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Build `count` fake chrome.tabs.Tab objects
+ */
+export function createTabFixtures(count, seed = 42) {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const tabs = [];
+
+    for (let id = 1; id <= count; id++) {
+        const topic = TOPICS[id % TOPICS.length];
+        const words = Array.from({ length: 4 }, () => pick(topic.words));
+        const site = pick(topic.sites);
+
+        tabs.push({
+            id,
+            windowId: 1,
+            index: id - 1,
+            groupId: -1,
+            pinned: false,
+            title: `${words.join(' ')} - ${site}`,
+            url: `https://${site}/${words.slice(0, 2).join('-').toLowerCase()}/${id}`
+        });
+    }
+
+    return tabs;
+}
@@ -0,0 +1,65 @@
+/**
+ * Reference agglomerative clustering
+ * The original, straightforward average-linkage HAC (full matrix, every
+ * member pair rescored on each merge). Far too slow for large windows, but
+ * obviously correct: the optimized implementation in ClusteringEngine must
+ * produce exactly the same clusters (see `npm run bench -- --check`).
+ */
+
+/**
+ * @param {ClusteringEngine} engine - Supplies pairwise scoring, thresholds and merging
+ * @returns {Object[]} Clusters in the same order and shape as engine.agglomerativeClustering
+ */
+export function referenceAgglomerativeClustering(engine, tabVectors, targetGroups) {
+    const n = tabVectors.length;
+    const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const score = engine.computePairwiseSimilarity(tabVectors[i], tabVectors[j]);
+            matrix[i][j] = score;
+            matrix[j][i] = score;
+        }
+    }
+
+    let clusters = tabVectors.map((tv, idx) => ({
+        indices: [idx],
+        items: [tv],
+        embeddings: [tv.embedding],
+        domains: new Set([tv.domain]),
+        centroid: tv.embedding
+    }));
+
+    const threshold = engine.computeAdaptiveThreshold(n, targetGroups);
+
+    while (clusters.length > targetGroups) {
+        let bestI = -1, bestJ = -1, bestSim = -Infinity;
+
+        for (let i = 0; i < clusters.length; i++) {
+            for (let j = i + 1; j < clusters.length; j++) {
+                let totalSim = 0;
+                let count = 0;
+                for (const idx1 of clusters[i].indices) {
+                    for (const idx2 of clusters[j].indices) {
+                        totalSim += matrix[idx1][idx2];
+                        count++;
+                    }
+                }
+
+                const avgSim = count > 0 ? totalSim / count : 0;
+                if (avgSim > bestSim) {
+                    bestSim = avgSim;
+                    bestI = i;
+                    bestJ = j;
+                }
+            }
+        }
+
+        if (bestSim < threshold) break;
+
+        const merged = engine.mergeClusters(clusters[bestI], clusters[bestJ]);
+        clusters = clusters.filter((_, idx) => idx !== bestI && idx !== bestJ);
+        clusters.push(merged);
+    }
+
+    return clusters;
+}
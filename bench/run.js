@@ -0,0 +1,16 @@
+// Bundles the benchmark with esbuild (the sources are ESM) and runs it under Node
+const esbuild = require('esbuild');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const outfile = path.join(__dirname, '..', 'dist', 'bench.mjs');
+
+esbuild.build({
+    entryPoints: [path.join(__dirname, 'clusterBench.js')],
+    bundle: true,
+    outfile,
+    platform: 'node',
+    format: 'esm',
+    target: ['node16'],
+    external: ['@xenova/transformers']
+}).then(() => import(pathToFileURL(outfile).href));
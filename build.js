@@ -19,10 +19,17 @@ esbuild.build({
     }
 }).then(() => console.log('Background built'));
 
-// Popup script bundle (if needed, but it's simple)
+// ONNX runtime binaries, served from the package instead of a CDN (see clustering.js)
+const ortDist = path.join(__dirname, 'node_modules/onnxruntime-web/dist');
+fs.mkdirSync('dist', { recursive: true });
+for (const file of ['ort-wasm.wasm', 'ort-wasm-simd.wasm']) {
+    fs.copyFileSync(path.join(ortDist, file), path.join('dist', file));
+}
+
+// Popup, offscreen and options page bundles
 esbuild.build({
-    entryPoints: ['src/popup.js', 'src/offscreen.js'],
+    entryPoints: ['src/popup.js', 'src/offscreen.js', 'src/options.js'],
     bundle: true,
     outdir: 'dist',
     platform: 'browser'
-}).then(() => console.log('Popup/Offscreen built'));
+}).then(() => console.log('Popup/Offscreen/Options built'));
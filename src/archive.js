@@ -0,0 +1,77 @@
+/**
+ * Grooopy Archive
+ * Stale tab groups the user put away: closed in the browser, kept in
+ * chrome.storage.local so they can be reopened later as a group.
+ *
+ * Entry shape:
+ *   {
+ *     id: string,
+ *     name: string, color: string,
+ *     archivedAt: number,
+ *     lastUsed: number,      // Most recent tab.lastAccessed in the group
+ *     tabs: { url: string, title: string, favIconUrl: string, snippet: string }[]
+ *   }
+ */
+
+const ARCHIVE_KEY = 'archivedGroups';
+const MAX_ARCHIVED_GROUPS = 50;
+const SNIPPET_LENGTH = 200;
+
+export const DEFAULT_STALE_AFTER_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a group last used at some time counts as stale
+ */
+export function isStale(lastUsed, staleAfterDays, now = Date.now()) {
+    return now - lastUsed >= staleAfterDays * DAY_MS;
+}
+
+/**
+ * "3d", "5h", "12m": how long ago something was used, short enough for a chip
+ */
+export function formatAge(lastUsed, now = Date.now()) {
+    const minutes = Math.max(0, Math.floor((now - lastUsed) / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.floor(minutes / (60 * 24))}d`;
+}
+
+/**
+ * First part of a page's extracted text, enough to recognize it later
+ */
+export function makeSnippet(text) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > SNIPPET_LENGTH ? `${clean.slice(0, SNIPPET_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Archived groups, most recent first
+ */
+export async function loadArchive() {
+    const stored = await chrome.storage.local.get(ARCHIVE_KEY);
+    return stored[ARCHIVE_KEY] || [];
+}
+
+/**
+ * Add a group to the archive (the oldest entries fall off)
+ */
+export async function addToArchive(entry) {
+    const archive = await loadArchive();
+    const stored = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, archivedAt: Date.now(), ...entry };
+    await chrome.storage.local.set({ [ARCHIVE_KEY]: [stored, ...archive].slice(0, MAX_ARCHIVED_GROUPS) });
+    return stored;
+}
+
+/**
+ * Remove an archived group and return it (null if unknown)
+ */
+export async function takeFromArchive(id) {
+    const archive = await loadArchive();
+    const entry = archive.find(e => e.id === id) || null;
+    if (entry) {
+        await chrome.storage.local.set({ [ARCHIVE_KEY]: archive.filter(e => e.id !== id) });
+    }
+    return entry;
+}
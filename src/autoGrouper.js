@@ -0,0 +1,111 @@
+/**
+ * Grooopy Auto Grouper
+ * Opt-in, per-window mode that places new or navigated tabs into existing
+ * groups as they finish loading, without reclustering the whole window.
+ */
+
+const ENABLED_WINDOWS_KEY = 'autoGroupWindowIds';
+const DEBOUNCE_MS = 1500;
+const RETRY_MS = 3000;
+
+export class AutoGrouper {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.pending = new Map(); // windowId → Set of tab ids
+        this.timers = new Map();  // windowId → debounce timer
+    }
+
+    /**
+     * Register tab listeners (must run synchronously at service worker startup)
+     */
+    start() {
+        chrome.tabs.onCreated.addListener((tab) => {
+            this.schedule(tab.windowId, tab.id).catch(e => this.fail(e, tab.windowId));
+        });
+
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (changeInfo.status === 'complete') {
+                this.schedule(tab.windowId, tabId).catch(e => this.fail(e, tab.windowId));
+            }
+        });
+
+        chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+            this.pending.get(removeInfo.windowId)?.delete(tabId);
+            if (removeInfo.isWindowClosing) {
+                this.cancel(removeInfo.windowId);
+            }
+        });
+    }
+
+    async getEnabledWindowIds() {
+        const stored = await chrome.storage.session.get(ENABLED_WINDOWS_KEY);
+        return stored[ENABLED_WINDOWS_KEY] || [];
+    }
+
+    async isEnabled(windowId) {
+        return (await this.getEnabledWindowIds()).includes(windowId);
+    }
+
+    async setEnabled(windowId, enabled) {
+        const next = (await this.getEnabledWindowIds()).filter(id => id !== windowId);
+        if (enabled) next.push(windowId);
+        await chrome.storage.session.set({ [ENABLED_WINDOWS_KEY]: next });
+        if (!enabled) this.cancel(windowId);
+    }
+
+    /**
+     * Queue a tab and restart the window's debounce timer, so a burst of
+     * events (session restore, opening a bookmark folder) becomes one run
+     */
+    async schedule(windowId, tabId) {
+        if (!(await this.isEnabled(windowId))) return;
+
+        if (!this.pending.has(windowId)) this.pending.set(windowId, new Set());
+        this.pending.get(windowId).add(tabId);
+        this.restartTimer(windowId, DEBOUNCE_MS);
+    }
+
+    restartTimer(windowId, delay) {
+        clearTimeout(this.timers.get(windowId));
+        this.timers.set(windowId, setTimeout(() => {
+            this.flush(windowId).catch(e => this.fail(e, windowId));
+        }, delay));
+    }
+
+    /**
+     * A scheduled placement failed (e.g. the window closed mid-run): log it and move on
+     * Not into the run report, which belongs to the user's last run (see TabManager.beginReport).
+     */
+    fail(error, windowId) {
+        console.warn(`[Grooopy] Auto-grouping failed in window ${windowId}:`, error);
+    }
+
+    cancel(windowId) {
+        clearTimeout(this.timers.get(windowId));
+        this.timers.delete(windowId);
+        this.pending.delete(windowId);
+    }
+
+    async flush(windowId) {
+        this.timers.delete(windowId);
+        const tabIds = [...(this.pending.get(windowId) || [])];
+        if (tabIds.length === 0) return;
+
+        // Only tabs that finished loading; the rest come back via onUpdated
+        const tabs = await chrome.tabs.query({ windowId, status: 'complete' });
+        const ready = new Set(tabs.map(t => t.id));
+        const readyIds = tabIds.filter(id => ready.has(id));
+        if (readyIds.length === 0) return;
+
+        readyIds.forEach(id => this.pending.get(windowId).delete(id));
+
+        const ran = await this.tabManager.placeTabs(windowId, readyIds);
+        // A grouping run was in progress: put the tabs back and try again later
+        // (unless the window was closed or disabled in the meantime)
+        const queue = this.pending.get(windowId);
+        if (!ran && queue) {
+            readyIds.forEach(id => queue.add(id));
+            this.restartTimer(windowId, RETRY_MS);
+        }
+    }
+}
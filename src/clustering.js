@@ -1,4 +1,16 @@
 import { pipeline, env } from '@xenova/transformers';
+import { partitionByRules } from './rules.js';
+import { CONFIG_SCHEMA, DEFAULT_CONFIG, validateConfig } from './clusteringConfig.js';
+import { getModel, DEFAULT_MODEL_ID, MULTILINGUAL_MODEL_ID, BUNDLED_MODELS_PATH } from './models.js';
+import { detectLanguage } from './language.js';
+import { condensedIndex, getStrategy, DEFAULT_STRATEGY } from './clusteringStrategies.js';
+import { tabKey, calibrateConfig } from './corrections.js';
+import { DEFAULT_ORDERING, chainOrder } from './ordering.js';
+import { canonicalUrl } from './duplicates.js';
+import {
+    DEFAULT_NAMING, SUBTOPIC_SEPARATOR, extractTerms, createTermIndex, rankKeyphrases,
+    pickEmoji, displayCase, formatName, uniqueName
+} from './naming.js';
 
 // Configure transformers.js for Chrome Extension environment
 env.allowLocalModels = false;
@@ -9,6 +21,22 @@ env.useBrowserCache = true;
 env.backends.onnx.wasm.numThreads = 1;
 env.backends.onnx.wasm.proxy = false;
 
+// Serve the ONNX runtime from the package (copied by build.js) instead of a CDN
+if (globalThis.chrome?.runtime?.getURL) {
+    env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('dist/');
+}
+
+// Shades for the sub-groups of one topic: a color, then its neighbors on the color wheel
+const RELATED_COLORS = {
+    blue: ['cyan', 'purple'], cyan: ['blue', 'green'], purple: ['pink', 'blue'],
+    pink: ['purple', 'red'], red: ['orange', 'pink'], orange: ['yellow', 'red'],
+    yellow: ['orange', 'green'], green: ['cyan', 'yellow'], grey: ['blue', 'purple']
+};
+
+// Similarity of corrected pairs (see applyConstraints): beyond anything the signals produce
+const MUST_LINK_SIMILARITY = 2;
+const CANNOT_LINK_SIMILARITY = -2;
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
  * GROOOPY - Intelligent Tab Clustering Engine
@@ -36,39 +64,138 @@ env.backends.onnx.wasm.proxy = false;
 
 export class ClusteringEngine {
     constructor(options = {}) {
-        // Model configuration
+        // Model configuration: a registry id (see models.js), or any hub repo via modelName.
+        // The preferred model is swapped for a multilingual one on windows with
+        // non-English tabs (see chooseModelFor); loaded pipelines are kept per model.
+        this.extractors = new Map();
         this.extractor = null;
-        this.modelName = options.modelName || 'Xenova/all-MiniLM-L6-v2';
-        this.embeddingDim = 384; // Dimension for all-MiniLM-L6-v2
+        this.preferredModel = options.modelName
+            ? { ...getModel(DEFAULT_MODEL_ID), repo: options.modelName }
+            : getModel(options.model);
+        this.multilingualFallback = options.multilingualFallback ?? true;
+
+        // Inference batching and input length (defaults to what the model was trained on)
+        this.batchSize = options.batchSize || 16;
+        this.maxTokensOverride = options.maxTokens || null;
+        this.activateModel(this.preferredModel);
+
+        // Optional persistent cache (see embeddingCache.js); null runs the model every time
+        this.cache = options.cache || null;
+
+        // Optional memory of past groups (see groupMemory.js); null names every run afresh
+        this.memory = options.memory || null;
+
+        // Optional index of open tabs' vectors (see tabIndex.js); null keeps nothing between runs
+        this.index = options.index || null;
 
         // ═══════════════════════════════════════════════════════════════════════
         // CLUSTERING HYPERPARAMETERS
-        // These have been tuned through extensive testing across diverse tab sets
+        // Schema, defaults and presets live in clusteringConfig.js; users can
+        // tune them from the options page (applied through updateConfig)
         // ═══════════════════════════════════════════════════════════════════════
 
         this.config = {
-            // Primary clustering thresholds
-            CONTENT_SIMILARITY_THRESHOLD: 0.38,  // Base semantic similarity threshold
-            DOMAIN_AFFINITY_BOOST: 0.15,         // Boost for same-domain tabs
-            URL_PATH_BOOST: 0.08,                // Boost for similar URL paths
-
-            // Hierarchical merge thresholds
-            MERGE_SIMILARITY_THRESHOLD: 0.30,    // Threshold for merging related groups
-            FORCED_MERGE_MULTIPLIER: 1.5,        // Force merge when groups > capacity * this
-
-            // Singleton handling
-            SINGLETON_ABSORPTION_THRESHOLD: 0.25, // Lower bar for singleton absorption
-            SINGLETON_CLUSTER_THRESHOLD: 0.33,   // Threshold for singletons to cluster together
-            MIN_ORPHANS_FOR_MISC: 3,             // Minimum orphans before creating MISC
-
-            // Screen capacity estimation
-            PIXELS_PER_GROUP: 130,               // Estimated pixels per tab group
-            MIN_GROUPS: 2,                       // Minimum groups to maintain
-            MAX_GROUPS: 10,                      // Maximum groups regardless of screen
-
-            // Debug mode
+            ...DEFAULT_CONFIG,
             DEBUG: options.debug || false
         };
+
+        // Group name style (see naming.js)
+        this.naming = { ...DEFAULT_NAMING, ...options.naming };
+
+        // Algorithm for steps 3-5 (see clusteringStrategies.js)
+        this.strategy = options.strategy || DEFAULT_STRATEGY;
+
+        // Order of groups and of tabs within them (see ordering.js)
+        this.ordering = { ...DEFAULT_ORDERING, ...options.ordering };
+
+        // Per-run state from the user's corrections (see applyCorrections)
+        this.constraints = [];
+        this.renames = [];
+        this.correctionSignals = [];
+    }
+
+    /**
+     * Choose the clustering algorithm by registry id (see clusteringStrategies.js)
+     */
+    setStrategy(id = DEFAULT_STRATEGY) {
+        this.strategy = id;
+    }
+
+    /**
+     * Replace the group naming options ({ mode, template, maxLength })
+     */
+    setNaming(naming = {}) {
+        this.naming = { ...DEFAULT_NAMING, ...naming };
+    }
+
+    /**
+     * Replace the ordering options ({ groups, tabs })
+     */
+    setOrdering(ordering = {}) {
+        this.ordering = { ...DEFAULT_ORDERING, ...ordering };
+    }
+
+    /**
+     * Replace the hyperparameters, e.g. with the user's saved settings
+     * Invalid values fall back to their defaults.
+     */
+    updateConfig(overrides = {}) {
+        const { config, errors } = validateConfig(overrides);
+        if (errors.length > 0) {
+            console.warn('[Grooopy] Ignoring invalid config values:', errors);
+        }
+        this.config = config;
+    }
+
+    /**
+     * Switch to another registered model; it is loaded on next use
+     * 
+     * @param {string} id - Registry id (see models.js)
+     * @param {boolean} [multilingualFallback] - Use the multilingual model for non-English windows
+     */
+    setModel(id, multilingualFallback = this.multilingualFallback) {
+        this.multilingualFallback = multilingualFallback;
+
+        const model = getModel(id);
+        if (model === this.preferredModel) return;
+
+        this.preferredModel = model;
+        this.extractors.clear(); // Free the old model's memory
+        this.activateModel(model);
+    }
+
+    /**
+     * Make a model the one used for embeddings (loading is left to init)
+     */
+    activateModel(model) {
+        this.model = model;
+        this.modelName = model.repo;
+        this.maxTokens = this.maxTokensOverride || model.maxTokens;
+        this.extractor = this.extractors.get(this.modelKey) || null;
+        this.embeddingDim = null; // Read from the model output on first use
+    }
+
+    /**
+     * Use the multilingual model when any tab is not in English, unless the
+     * preferred model already is multilingual or must stay offline (bundled)
+     */
+    chooseModelFor(enrichedTabs) {
+        const foreign = enrichedTabs.filter(item => item.language !== 'en');
+        const fallback = foreign.length > 0 && this.multilingualFallback &&
+            !this.preferredModel.multilingual && !this.preferredModel.bundled;
+        const model = fallback ? getModel(MULTILINGUAL_MODEL_ID) : this.preferredModel;
+
+        if (model !== this.model) {
+            this.log(`🌍 ${foreign.length} non-English tab(s), using ${model.repo}`);
+            this.activateModel(model);
+        }
+    }
+
+    /**
+     * Cache key prefix: the same repo at another precision gives other vectors
+     */
+    get modelKey() {
+        return this.model.quantized ? this.modelName : `${this.modelName}:fp32`;
     }
 
     /**
@@ -76,9 +203,25 @@ export class ClusteringEngine {
      */
     async init() {
         if (!this.extractor) {
-            this.log('🧠 Loading AI model:', this.modelName);
+            this.log('🧠 Loading AI model:', this.modelName, this.model.bundled ? '(bundled)' : '');
             const startTime = performance.now();
-            this.extractor = await pipeline('feature-extraction', this.modelName);
+
+            // Bundled models come from the extension package and never touch the network
+            env.allowLocalModels = this.model.bundled;
+            env.allowRemoteModels = !this.model.bundled;
+            if (this.model.bundled) {
+                env.localModelPath = chrome.runtime.getURL(BUNDLED_MODELS_PATH);
+            }
+
+            try {
+                this.extractor = await pipeline('feature-extraction', this.modelName, {
+                    quantized: this.model.quantized
+                });
+                this.extractors.set(this.modelKey, this.extractor);
+            } catch (error) {
+                if (!this.model.bundled) throw error;
+                throw new Error(`Bundled model ${this.modelName} not found under ${BUNDLED_MODELS_PATH} (see models/README.md): ${error.message}`);
+            }
             this.log(`✅ Model loaded in ${(performance.now() - startTime).toFixed(0)}ms`);
         }
     }
@@ -101,116 +244,155 @@ export class ClusteringEngine {
      * 
      * @param {chrome.tabs.Tab[]} tabs - Array of Chrome tab objects
      * @param {number} screenWidth - Window width for capacity estimation
+     * @param {Object} [options]
+     * @param {ExistingGroup[]} [options.existingGroups] - Groups to keep as seed clusters
+     *        ({ groupId, title, color, collapsed, pinned, tabIds })
+     * @param {Object} [options.extractions] - Page content per tab id (see contentExtractor.js)
+     * @param {Object[]} [options.rules] - User grouping rules (see rules.js)
+     * @param {{pairs: Object[], renames: Object[]}} [options.corrections] - What the user
+     *        taught by rearranging groups (see corrections.js)
      * @returns {Promise<ClusterResult[]>} Array of cluster definitions
      */
-    async clusterTabs(tabs, screenWidth = 1920) {
-        await this.init();
-
+    async clusterTabs(tabs, screenWidth = 1920, options = {}) {
         const startTime = performance.now();
         this.log(`📊 Clustering ${tabs.length} tabs (screen: ${screenWidth}px)`);
 
+        // Step 0: User rules win over the model, except in pinned groups: their tabs stay put
+        const pinnedTabIds = new Set((options.existingGroups || []).filter(g => g.pinned).flatMap(g => g.tabIds));
+        const { excluded, assigned } = partitionByRules(tabs.filter(t => !pinnedTabIds.has(t.id)), options.rules);
+        const excludedIds = new Set(excluded.map(t => t.id));
+        const clusterable = tabs.filter(t => !excludedIds.has(t.id));
+        if (excluded.length > 0) this.log(`🚫 ${excluded.length} tab(s) excluded by rules`);
+
+        // Excluded tabs are never grouped, so they don't count as members either
+        const existingGroups = (options.existingGroups || []).map(group => ({
+            ...group,
+            tabIds: group.tabIds.filter(id => !excludedIds.has(id))
+        }));
+
         // Edge case: too few tabs
-        if (tabs.length <= 2) {
+        if (clusterable.length <= 2 && existingGroups.length === 0 && assigned.size === 0) {
             this.log('⚡ Too few tabs, skipping clustering');
             return [];
         }
 
         // Step 1: Extract and enrich tab data
-        const enrichedTabs = await this.extractAndEnrichTabs(tabs);
+        const enrichedTabs = this.extractAndEnrichTabs(clusterable, options.extractions);
+        this.chooseModelFor(enrichedTabs);
+        await this.init();
 
         // Step 2: Generate embeddings
         const tabVectors = await this.generateEmbeddings(enrichedTabs);
 
-        // Step 3: Build similarity matrix
-        const similarityMatrix = this.buildSimilarityMatrix(tabVectors);
+        // Corrections calibrate the config for this run only
+        const userConfig = this.config;
+        let ruleClusters, clusters;
+        try {
+            this.applyCorrections(tabVectors, options.corrections);
+
+            // Rule-assigned tabs form fixed clusters and sit out the rest of the pipeline
+            let freeVectors, remainingGroups;
+            ({ ruleClusters, freeVectors, remainingGroups } =
+                this.buildRuleClusters(tabVectors, assigned, existingGroups));
+
+            const groupCapacity = Math.max(1,
+                this.calculateGroupCapacity(screenWidth, tabs.length) - ruleClusters.length);
 
-        // Step 4: Agglomerative clustering
-        const groupCapacity = this.calculateGroupCapacity(screenWidth, tabs.length);
-        let clusters = this.agglomerativeClustering(tabVectors, similarityMatrix, groupCapacity);
+            if (remainingGroups.length > 0) {
+                // Steps 3-5 (incremental): grow existing groups, cluster the rest
+                clusters = this.clusterAroundSeeds(freeVectors, remainingGroups, groupCapacity);
+            } else {
+                // Steps 3-5: Similarity matrix, clustering, leftovers
+                clusters = this.runStrategy(freeVectors, groupCapacity);
+            }
+            clusters = this.enforceConstraints(clusters);
 
-        // Step 5: Handle singletons intelligently
-        clusters = this.consolidateSingletons(clusters, groupCapacity);
+            // Step 5b: Split topics too big for one group into adjacent sub-groups
+            clusters = this.splitOversized(clusters);
+        } finally {
+            this.config = userConfig;
+        }
 
         // Step 6: Generate semantic names
-        const result = await this.generateClusterMetadata(clusters);
+        const result = await this.generateClusterMetadata([...ruleClusters, ...clusters]);
 
         this.log(`✅ Clustering complete in ${(performance.now() - startTime).toFixed(0)}ms`);
         this.log(`📦 Created ${result.length} groups from ${tabs.length} tabs`);
+        if (this.cache) {
+            this.log(`💾 Embedding cache: ${this.cache.stats.hits} hits, ${this.cache.stats.misses} misses`);
+        }
 
         return result;
     }
 
+    /**
+     * Turn rule assignments into fixed clusters
+     * In incremental mode a rule group reuses the existing group with the same title.
+     * 
+     * @returns {{ruleClusters: Object[], freeVectors: Object[], remainingGroups: ExistingGroup[]}}
+     */
+    buildRuleClusters(tabVectors, assigned, existingGroups) {
+        const indexByTabId = new Map(tabVectors.map((tv, idx) => [tv.tab.id, idx]));
+        const assignedIds = new Set();
+        const claimedGroups = new Set();
+        const ruleClusters = [];
+
+        for (const [name, { rule, tabs }] of assigned) {
+            const indices = tabs.map(t => indexByTabId.get(t.id)).filter(idx => idx !== undefined);
+            if (indices.length === 0) continue;
+            indices.forEach(idx => assignedIds.add(tabVectors[idx].tab.id));
+
+            const existing = existingGroups.find(g =>
+                !claimedGroups.has(g.groupId) && g.title.toLowerCase() === name.toLowerCase());
+            if (existing) claimedGroups.add(existing.groupId);
+
+            const cluster = this.createSeedCluster(tabVectors, indices, existing || null);
+            cluster.rule = { name, color: rule.color, pattern: rule.pattern };
+            ruleClusters.push(cluster);
+        }
+
+        if (ruleClusters.length > 0) this.log(`📐 ${assignedIds.size} tab(s) placed by ${ruleClusters.length} rule group(s)`);
+
+        return {
+            ruleClusters,
+            freeVectors: tabVectors.filter(tv => !assignedIds.has(tv.tab.id)),
+            remainingGroups: existingGroups
+                .filter(g => !claimedGroups.has(g.groupId))
+                .map(g => ({ ...g, tabIds: g.tabIds.filter(id => !assignedIds.has(id)) }))
+        };
+    }
+
     // ═══════════════════════════════════════════════════════════════════════════
     // CONTENT EXTRACTION
     // ═══════════════════════════════════════════════════════════════════════════
 
     /**
-     * Extract rich content and metadata from each tab
+     * Attach extracted content, language and URL metadata to each tab
+     * 
+     * Page content is extracted in the service worker (see contentExtractor.js);
+     * tabs without an extraction record fall back to their title.
+     * 
+     * @param {chrome.tabs.Tab[]} tabs
+     * @param {Object<number, {content: string, source: string, lang?: string}>} [extractions] - Keyed by tab id
      */
-    async extractAndEnrichTabs(tabs) {
-        const enriched = [];
-
-        for (const tab of tabs) {
+    extractAndEnrichTabs(tabs, extractions = {}) {
+        return tabs.map(tab => {
             const url = this.parseUrl(tab.url);
-            let content = tab.title || '';
-
-            // Try to extract page content via scripting
-            if (tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('edge://')) {
-                try {
-                    const injection = await chrome.scripting.executeScript({
-                        target: { tabId: tab.id },
-                        func: () => {
-                            // Extract semantic content from the page
-                            const getMeta = (name) =>
-                                document.querySelector(`meta[name="${name}"]`)?.content ||
-                                document.querySelector(`meta[property="${name}"]`)?.content || '';
-
-                            const getText = (selector, limit = 1) =>
-                                Array.from(document.querySelectorAll(selector))
-                                    .slice(0, limit)
-                                    .map(el => el.innerText?.trim())
-                                    .filter(Boolean)
-                                    .join(' ');
-
-                            return {
-                                title: document.title,
-                                description: getMeta('description') || getMeta('og:description'),
-                                keywords: getMeta('keywords'),
-                                h1: getText('h1'),
-                                h2: getText('h2', 3),
-                                firstParagraph: getText('article p, main p, .content p, p', 2),
-                                pathHint: window.location.pathname.replace(/[\/\-_\.]/g, ' ').trim()
-                            };
-                        }
-                    });
-
-                    if (injection?.[0]?.result) {
-                        const r = injection[0].result;
-                        content = [
-                            r.title,
-                            r.description,
-                            r.keywords,
-                            r.h1,
-                            r.h2,
-                            r.firstParagraph,
-                            r.pathHint
-                        ].filter(Boolean).join(' ').slice(0, 2000);
-                    }
-                } catch (e) {
-                    // Scripting failed - use title only
-                }
-            }
+            const extraction = extractions[tab.id];
+            const content = extraction?.content || tab.title || '';
+            const language = detectLanguage(content, extraction?.lang);
 
-            enriched.push({
+            return {
                 tab,
                 content,
+                extractionSource: extraction?.source || 'title',
+                language,
+                terms: extractTerms(content, language),
                 domain: url.domain,
                 baseDomain: url.baseDomain,
                 pathTokens: url.pathTokens
-            });
-        }
-
-        return enriched;
+            };
+        });
     }
 
     /**
@@ -243,25 +425,76 @@ export class ClusteringEngine {
      * Generate embedding vectors for all tabs
      */
     async generateEmbeddings(enrichedTabs) {
-        const vectors = [];
+        const embeddings = await this.getEmbeddings(enrichedTabs.map(item => item.content));
 
-        for (const item of enrichedTabs) {
-            const embedding = await this.getEmbedding(item.content);
-            vectors.push({
-                ...item,
-                embedding
-            });
-        }
+        const tabVectors = enrichedTabs.map((item, i) => ({
+            ...item,
+            embedding: embeddings[i]
+        }));
 
-        return vectors;
+        // Search only uses the preferred model, so multilingual fallback vectors are not kept
+        if (this.index && this.model === this.preferredModel) this.index.absorb(tabVectors, this.modelKey);
+        return tabVectors;
     }
 
     /**
      * Generate normalized embedding for text
      */
     async getEmbedding(text) {
-        const output = await this.extractor(text, { pooling: 'mean', normalize: true });
-        return output.data;
+        const [embedding] = await this.getEmbeddings([text]);
+        return embedding;
+    }
+
+    /**
+     * Generate normalized embeddings for many texts
+     * Cached texts skip the model; the rest run through it in batches.
+     */
+    async getEmbeddings(texts) {
+        const inputs = texts.map(text => this.truncateToTokens(text));
+        const results = new Array(inputs.length).fill(null);
+        const keys = new Array(inputs.length).fill(null);
+
+        if (this.cache) {
+            for (let i = 0; i < inputs.length; i++) {
+                keys[i] = await this.cache.keyFor(this.modelKey, inputs[i]);
+                results[i] = await this.cache.get(keys[i]);
+            }
+        }
+
+        const pending = results.map((r, i) => r ? -1 : i).filter(i => i >= 0);
+
+        for (let start = 0; start < pending.length; start += this.batchSize) {
+            const batch = pending.slice(start, start + this.batchSize);
+            const output = await this.extractor(batch.map(i => inputs[i]), { pooling: 'mean', normalize: true });
+            const dim = output.dims[output.dims.length - 1];
+            this.embeddingDim = dim;
+
+            for (let b = 0; b < batch.length; b++) {
+                const i = batch[b];
+                results[i] = output.data.slice(b * dim, (b + 1) * dim);
+                if (keys[i]) await this.cache.set(keys[i], results[i]);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Trim text to the model's token budget
+     * Cutting on tokens rather than characters keeps as much content as the
+     * model can actually use, and keeps padded batches from growing needlessly.
+     */
+    truncateToTokens(text) {
+        const tokenizer = this.extractor?.tokenizer;
+        if (!text || !tokenizer) return text || '';
+
+        // Cheap pre-cut: a token is rarely shorter than a couple of characters
+        const clipped = text.slice(0, this.maxTokens * 8);
+        const ids = tokenizer.encode(clipped, null, { add_special_tokens: false });
+        const budget = this.maxTokens - 2; // Room for [CLS] and [SEP]
+        if (ids.length <= budget) return clipped;
+
+        return tokenizer.decode(ids.slice(0, budget), { skip_special_tokens: true });
     }
 
     // ═══════════════════════════════════════════════════════════════════════════
@@ -269,21 +502,37 @@ export class ClusteringEngine {
     // ═══════════════════════════════════════════════════════════════════════════
 
     /**
-     * Build full similarity matrix with multi-signal scoring
+     * Steps 3-5: build the similarity matrix and cluster with the selected strategy
+     *
+     * @returns {Object[]} Clusters (see createCluster), at most one of them MISC
+     */
+    runStrategy(tabVectors, groupCapacity) {
+        const strategy = getStrategy(this.strategy);
+        this.log(`🧩 Strategy: ${strategy.label}`);
+
+        const similarityMatrix = this.buildSimilarityMatrix(tabVectors);
+        this.applyConstraints(tabVectors, similarityMatrix);
+        return strategy.cluster(this, tabVectors, similarityMatrix, groupCapacity);
+    }
+
+    /**
+     * Build the pairwise similarity matrix with multi-signal scoring
+     * Stored condensed (upper triangle only) in a typed array: for 500 tabs that
+     * is 125k doubles instead of 250k boxed values in nested arrays.
+     * 
+     * @returns {{size: number, values: Float64Array}} Read with condensedIndex
      */
     buildSimilarityMatrix(tabVectors) {
         const n = tabVectors.length;
-        const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
+        const values = new Float64Array(n * (n - 1) / 2);
 
         for (let i = 0; i < n; i++) {
             for (let j = i + 1; j < n; j++) {
-                const score = this.computePairwiseSimilarity(tabVectors[i], tabVectors[j]);
-                matrix[i][j] = score;
-                matrix[j][i] = score;
+                values[condensedIndex(n, i, j)] = this.computePairwiseSimilarity(tabVectors[i], tabVectors[j]);
             }
         }
 
-        return matrix;
+        return { size: n, values };
     }
 
     /**
@@ -295,26 +544,36 @@ export class ClusteringEngine {
      * 3. URL path similarity boost
      */
     computePairwiseSimilarity(tab1, tab2) {
+        const { semantic, domain, path } = this.pairSignals(tab1, tab2);
+        return semantic + domain * this.config.DOMAIN_AFFINITY_BOOST + path * this.config.URL_PATH_BOOST;
+    }
+
+    /**
+     * The raw signals behind computePairwiseSimilarity, before weighting
+     * 
+     * @returns {{semantic: number, domain: number, path: number}} domain is 1 for the
+     *          same host, 0.5 for the same base domain; path is the shared share of path tokens
+     */
+    pairSignals(tab1, tab2) {
         // Primary: Semantic similarity
-        const semanticSim = this.cosineSimilarity(tab1.embedding, tab2.embedding);
+        const semantic = this.cosineSimilarity(tab1.embedding, tab2.embedding);
 
         // Signal 2: Domain affinity
-        let domainBoost = 0;
+        let domain = 0;
         if (tab1.domain === tab2.domain) {
-            domainBoost = this.config.DOMAIN_AFFINITY_BOOST;
+            domain = 1;
         } else if (tab1.baseDomain === tab2.baseDomain) {
-            domainBoost = this.config.DOMAIN_AFFINITY_BOOST * 0.5;
+            domain = 0.5;
         }
 
         // Signal 3: URL path similarity
-        let pathBoost = 0;
+        let path = 0;
         const commonTokens = tab1.pathTokens.filter(t => tab2.pathTokens.includes(t));
         if (commonTokens.length > 0) {
-            pathBoost = this.config.URL_PATH_BOOST *
-                Math.min(1, commonTokens.length / Math.max(tab1.pathTokens.length, tab2.pathTokens.length, 1));
+            path = Math.min(1, commonTokens.length / Math.max(tab1.pathTokens.length, tab2.pathTokens.length, 1));
         }
 
-        return semanticSim + domainBoost + pathBoost;
+        return { semantic, domain, path };
     }
 
     /**
@@ -335,27 +594,72 @@ export class ClusteringEngine {
     /**
      * Perform bottom-up agglomerative clustering
      * Uses average-linkage for cluster distance computation
+     * 
+     * Linkage between clusters is kept up to date with the Lance–Williams
+     * update (size-weighted mean of the two merged rows), and every cluster
+     * caches its best partner, so a merge costs O(n) instead of rescoring all
+     * member pairs. Ties are broken as a left-to-right scan over clusters in
+     * creation order would, so results match the straightforward algorithm
+     * (bench/referenceHac.js) exactly.
+     * 
+     * @param {number} [threshold] - Lowest linkage still merged; -Infinity cuts the
+     *        dendrogram at exactly targetGroups clusters. Adaptive by default.
      */
-    agglomerativeClustering(tabVectors, similarityMatrix, targetGroups) {
+    agglomerativeClustering(tabVectors, similarityMatrix, targetGroups, threshold) {
         const n = tabVectors.length;
+        const linkage = Float64Array.from(similarityMatrix.values);
+
+        // Clusters live in slots 0..n-1; a merge keeps the older cluster's slot
+        const members = tabVectors.map((_, idx) => [idx]);
+        const active = new Uint8Array(n).fill(1);
+        const order = Int32Array.from({ length: n }, (_, idx) => idx); // Creation order
+        const bestPartner = new Int32Array(n).fill(-1);
+        const bestSim = new Float64Array(n).fill(-Infinity);
+        let remaining = n;
+
+        const sim = (a, b) => linkage[a < b ? condensedIndex(n, a, b) : condensedIndex(n, b, a)];
+
+        // Whether pair (a, b) would be found before pair (c, d) by the scan
+        const beats = (similarity, a, b, otherSimilarity, c, d) => {
+            if (similarity !== otherSimilarity) return similarity > otherSimilarity;
+            if (d === -1) return true;
+            const [first, second] = order[a] < order[b] ? [order[a], order[b]] : [order[b], order[a]];
+            const [otherFirst, otherSecond] = order[c] < order[d] ? [order[c], order[d]] : [order[d], order[c]];
+            return first !== otherFirst ? first < otherFirst : second < otherSecond;
+        };
 
-        // Initialize: each tab is its own cluster
-        let clusters = tabVectors.map((tv, idx) => ({
-            indices: [idx],
-            items: [tv],
-            embeddings: [tv.embedding],
-            domains: new Set([tv.domain]),
-            centroid: tv.embedding
-        }));
+        const updateBest = (k) => {
+            bestPartner[k] = -1;
+            bestSim[k] = -Infinity;
+            for (let m = 0; m < n; m++) {
+                if (m === k || !active[m]) continue;
+                const s = sim(k, m);
+                if (beats(s, k, m, bestSim[k], k, bestPartner[k])) {
+                    bestSim[k] = s;
+                    bestPartner[k] = m;
+                }
+            }
+        };
+
+        for (let k = 0; k < n; k++) updateBest(k);
 
         // Adaptive threshold based on number of tabs
-        const adaptiveThreshold = this.computeAdaptiveThreshold(n, targetGroups);
+        const adaptiveThreshold = threshold ?? this.computeAdaptiveThreshold(n, targetGroups);
         this.log(`🎯 Adaptive threshold: ${adaptiveThreshold.toFixed(3)}, target: ${targetGroups} groups`);
 
         // Merge clusters until we hit threshold or target
-        while (clusters.length > targetGroups) {
+        for (let step = 0; remaining > targetGroups; step++) {
             // Find best merge candidate
-            const { i, j, similarity } = this.findBestMerge(clusters, similarityMatrix);
+            let a = -1;
+            for (let k = 0; k < n; k++) {
+                if (!active[k] || bestPartner[k] === -1) continue;
+                if (a === -1 || beats(bestSim[k], k, bestPartner[k], bestSim[a], a, bestPartner[a])) a = k;
+            }
+            if (a === -1) break;
+
+            const similarity = bestSim[a];
+            let b = bestPartner[a];
+            if (order[b] < order[a]) [a, b] = [b, a];
 
             // Stop if best similarity is below threshold
             if (similarity < adaptiveThreshold) {
@@ -363,17 +667,54 @@ export class ClusteringEngine {
                 break;
             }
 
-            // Merge clusters
-            const merged = this.mergeClusters(clusters[i], clusters[j]);
+            // Lance–Williams update for average linkage, stored in a's slot
+            const sizeA = members[a].length;
+            const sizeB = members[b].length;
+            for (let k = 0; k < n; k++) {
+                if (!active[k] || k === a || k === b) continue;
+                const merged = (sizeA * sim(k, a) + sizeB * sim(k, b)) / (sizeA + sizeB);
+                linkage[k < a ? condensedIndex(n, k, a) : condensedIndex(n, a, k)] = merged;
+            }
 
-            // Update cluster list
-            clusters = clusters.filter((_, idx) => idx !== i && idx !== j);
-            clusters.push(merged);
+            members[a] = [...members[a], ...members[b]];
+            members[b] = null;
+            active[b] = 0;
+            order[a] = n + step; // The merged cluster goes to the end of the scan order
+            remaining--;
+
+            updateBest(a);
+            for (let k = 0; k < n; k++) {
+                if (!active[k] || k === a) continue;
+                if (bestPartner[k] === a || bestPartner[k] === b) {
+                    updateBest(k);
+                } else if (beats(sim(k, a), k, a, bestSim[k], k, bestPartner[k])) {
+                    bestSim[k] = sim(k, a);
+                    bestPartner[k] = a;
+                }
+            }
 
-            this.log(`🔗 Merged clusters (sim: ${similarity.toFixed(3)}), now ${clusters.length} groups`);
+            this.log(`🔗 Merged clusters (sim: ${similarity.toFixed(3)}), now ${remaining} groups`);
         }
 
-        return clusters;
+        // Surviving clusters in creation order, built once
+        return [...Array(n).keys()]
+            .filter(k => active[k])
+            .sort((x, y) => order[x] - order[y])
+            .map(k => this.createCluster(members[k].map(idx => tabVectors[idx]), members[k]));
+    }
+
+    /**
+     * Build a cluster from its members
+     */
+    createCluster(items, indices) {
+        const embeddings = items.map(item => item.embedding);
+        return {
+            indices,
+            items,
+            embeddings,
+            domains: new Set(items.map(item => item.domain)),
+            centroid: this.computeCentroid(embeddings)
+        };
     }
 
     /**
@@ -389,55 +730,11 @@ export class ClusteringEngine {
         return base * scaleFactor;
     }
 
-    /**
-     * Find the best pair of clusters to merge
-     * Uses average-linkage: average similarity between all pairs
-     */
-    findBestMerge(clusters, originalMatrix) {
-        let bestI = -1, bestJ = -1, bestSim = -Infinity;
-
-        for (let i = 0; i < clusters.length; i++) {
-            for (let j = i + 1; j < clusters.length; j++) {
-                // Average linkage: mean similarity between all pairs
-                let totalSim = 0;
-                let count = 0;
-
-                for (const idx1 of clusters[i].indices) {
-                    for (const idx2 of clusters[j].indices) {
-                        totalSim += originalMatrix[idx1][idx2];
-                        count++;
-                    }
-                }
-
-                const avgSim = count > 0 ? totalSim / count : 0;
-
-                if (avgSim > bestSim) {
-                    bestSim = avgSim;
-                    bestI = i;
-                    bestJ = j;
-                }
-            }
-        }
-
-        return { i: bestI, j: bestJ, similarity: bestSim };
-    }
-
     /**
      * Merge two clusters
      */
     mergeClusters(c1, c2) {
-        const indices = [...c1.indices, ...c2.indices];
-        const items = [...c1.items, ...c2.items];
-        const embeddings = [...c1.embeddings, ...c2.embeddings];
-        const domains = new Set([...c1.domains, ...c2.domains]);
-
-        return {
-            indices,
-            items,
-            embeddings,
-            domains,
-            centroid: this.computeCentroid(embeddings)
-        };
+        return this.createCluster([...c1.items, ...c2.items], [...c1.indices, ...c2.indices]);
     }
 
     /**
@@ -636,109 +933,920 @@ export class ClusteringEngine {
         };
     }
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SUB-GROUPS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Split clusters larger than MAX_GROUP_SIZE into sub-topics
+     * Chrome groups can't nest, so the parts stay adjacent in the result and
+     * share a `family` (their parent cluster) for naming, colors and placement.
+     * Rule groups, existing groups and MISC are never split.
+     */
+    splitOversized(clusters) {
+        const maxSize = this.config.MAX_GROUP_SIZE;
+        if (!maxSize) return clusters;
+
+        return clusters.flatMap(cluster => {
+            if (cluster.rule || cluster.seed || cluster.isMisc || cluster.items.length <= maxSize) {
+                return [cluster];
+            }
+
+            const parts = this.splitCluster(cluster, maxSize);
+            if (parts.length === 1) return [cluster];
+
+            this.log(`🌳 Split a ${cluster.items.length}-tab topic into ${parts.length} sub-groups`);
+            const family = { parent: cluster };
+            return parts.map(part => ({ ...part, family }));
+        });
+    }
+
+    /**
+     * Cut the cluster's own dendrogram into as few parts as fit, folding lone
+     * tabs into their closest part with room
+     *
+     * @returns {Object[]} The parts, or just the cluster if it does not split
+     */
+    splitCluster(cluster, maxSize) {
+        const n = cluster.items.length;
+        const matrix = this.buildSimilarityMatrix(cluster.items);
+        this.applyConstraints(cluster.items, matrix);
+
+        // Unbalanced cuts leave parts too big or lone tabs with nowhere to go; cut deeper
+        for (let targetParts = Math.ceil(n / maxSize); targetParts < n; targetParts++) {
+            const parts = this.agglomerativeClustering(cluster.items, matrix, targetParts, -Infinity)
+                .map(part => ({ ...part, indices: part.indices.map(idx => cluster.indices[idx]) }));
+
+            const groups = parts.filter(part => part.items.length > 1);
+            if (groups.some(part => part.items.length > maxSize)) continue;
+
+            const fits = parts.filter(part => part.items.length === 1).every(single => {
+                const withRoom = groups.filter(part => part.items.length < maxSize);
+                if (withRoom.length === 0) return false;
+                this.absorbIntoCluster(single, this.findClosestCluster(single, withRoom).cluster);
+                return true;
+            });
+            if (fits) return groups.length > 1 ? groups : [cluster];
+        }
+
+        return [cluster];
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // USER CORRECTIONS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Prepare this run's corrections (see corrections.js)
+     *
+     * 1. Measure the signals of corrected pairs whose tabs are both open
+     *    (kept in correctionSignals, for the caller to store)
+     * 2. Calibrate thresholds and boosts from every pair measured with this model
+     * 3. Turn pairs of open tabs into must-link/cannot-link constraints
+     *
+     * Replaces this.config for the run; the caller restores the user's config.
+     */
+    applyCorrections(tabVectors, corrections) {
+        this.constraints = [];
+        this.renames = corrections?.renames || [];
+        this.correctionSignals = [];
+        if (!corrections || corrections.pairs.length === 0) return;
+
+        const vectorsByKey = new Map();
+        for (const tv of tabVectors) {
+            const key = tabKey(tv.tab.url);
+            if (!vectorsByKey.has(key)) vectorsByKey.set(key, []);
+            vectorsByKey.get(key).push(tv);
+        }
+
+        const measured = [];
+        for (const pair of corrections.pairs) {
+            const first = vectorsByKey.get(pair.a);
+            const second = vectorsByKey.get(pair.b);
+
+            if (first && second) {
+                const signals = { modelKey: this.modelKey, ...this.pairSignals(first[0], second[0]) };
+                this.correctionSignals.push({ id: pair.id, signals });
+                measured.push({ ...pair, signals });
+                for (const a of first) {
+                    for (const b of second) this.constraints.push({ a: a.tab.id, b: b.tab.id, link: pair.link });
+                }
+            } else if (pair.signals?.modelKey === this.modelKey) {
+                measured.push(pair);
+            }
+        }
+
+        const { config, changes } = calibrateConfig(this.config, measured, CONFIG_SCHEMA);
+        this.config = config;
+
+        this.log(`🎓 ${measured.length} measured correction(s), ${this.constraints.length} constraint(s) in this window`);
+        for (const [key, { from, to }] of Object.entries(changes)) {
+            this.log(`   ${key}: ${from} → ${to}`);
+        }
+    }
+
+    /**
+     * Override the similarity of constrained pairs, so every strategy keeps
+     * must-linked tabs together and cannot-linked tabs apart where it can
+     */
+    applyConstraints(tabVectors, similarityMatrix) {
+        if (this.constraints.length === 0) return;
+
+        const n = tabVectors.length;
+        const indexByTabId = new Map(tabVectors.map((tv, idx) => [tv.tab.id, idx]));
+
+        for (const { a, b, link } of this.constraints) {
+            const i = indexByTabId.get(a);
+            const j = indexByTabId.get(b);
+            if (i === undefined || j === undefined || i === j) continue;
+
+            similarityMatrix.values[i < j ? condensedIndex(n, i, j) : condensedIndex(n, j, i)] =
+                link === 'must' ? MUST_LINK_SIMILARITY : CANNOT_LINK_SIMILARITY;
+        }
+    }
+
+    /**
+     * Settle what the similarity overrides could not:
+     * - A cannot-linked pair in one cluster loses the member that fits it worse
+     * - A lone (or MISC) tab joins the cluster of a tab it is must-linked to
+     * Pinned groups are left as they are.
+     */
+    enforceConstraints(clusters) {
+        if (this.constraints.length === 0) return clusters;
+
+        const clusterOf = new Map();
+        for (const cluster of clusters) {
+            cluster.items.forEach(item => clusterOf.set(item.tab.id, cluster));
+        }
+        const movable = (cluster) => cluster && !cluster.seed?.pinned;
+        const released = [];
+
+        for (const { a, b, link } of this.constraints) {
+            const first = clusterOf.get(a);
+            const second = clusterOf.get(b);
+            if (!movable(first) || !movable(second)) continue;
+
+            if (link === 'cannot' && first === second) {
+                const fit = (tabId) => this.cosineSimilarity(
+                    first.items.find(item => item.tab.id === tabId).embedding, first.centroid);
+                const misfit = fit(a) < fit(b) ? a : b;
+
+                const single = this.takeFromCluster(first, misfit);
+                released.push(single);
+                clusterOf.set(misfit, single);
+                this.log(`   Separated tab ${misfit} from a tab you pulled it away from`);
+            } else if (link === 'must' && first !== second) {
+                const loose = (cluster) => cluster.items.length === 1 || cluster.isMisc;
+                const [tabId, target] = loose(first) && !second.isMisc ? [a, second]
+                    : loose(second) && !first.isMisc ? [b, first]
+                        : [null, null];
+                if (!target) continue;
+
+                this.absorbIntoCluster(this.takeFromCluster(clusterOf.get(tabId), tabId), target);
+                clusterOf.set(tabId, target);
+                this.log(`   Kept tab ${tabId} with a tab you grouped it with`);
+            }
+        }
+
+        return [...clusters, ...released].filter(cluster => cluster.items.length > 0);
+    }
+
+    /**
+     * Remove a tab from a cluster
+     *
+     * @returns {Object} A single-tab cluster holding it
+     */
+    takeFromCluster(cluster, tabId) {
+        const pos = cluster.items.findIndex(item => item.tab.id === tabId);
+        const [item] = cluster.items.splice(pos, 1);
+        const [index] = cluster.indices.splice(pos, 1);
+        cluster.embeddings.splice(pos, 1);
+
+        cluster.domains = new Set(cluster.items.map(member => member.domain));
+        cluster.centroid = this.computeCentroid(cluster.embeddings);
+        return this.createCluster([item], [index]);
+    }
+
+    /**
+     * The name the user gave (mostly) the same tabs, if any
+     * Both the cluster and the renamed group must be covered by more than half.
+     */
+    matchRename(cluster) {
+        const keys = new Set(cluster.items.map(item => tabKey(item.tab.url)));
+
+        for (const rename of [...this.renames].reverse()) {
+            const shared = rename.keys.filter(key => keys.has(key)).length;
+            if (shared * 2 > keys.size && shared * 2 > rename.keys.length) return rename.name;
+        }
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // INCREMENTAL CLUSTERING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Cluster around the window's existing tab groups
+     * 
+     * Strategy:
+     * 1. Turn each existing group into a seed cluster (keeps its identity)
+     * 2. Release members that no longer fit an unpinned group
+     * 3. Assign free tabs to the closest seed when similar enough
+     * 4. Run regular HAC + singleton handling on whatever is left
+     */
+    clusterAroundSeeds(tabVectors, existingGroups, groupCapacity) {
+        const indexByTabId = new Map(tabVectors.map((tv, idx) => [tv.tab.id, idx]));
+        const claimed = new Set();
+        const seeds = [];
+
+        for (const group of existingGroups) {
+            const indices = group.tabIds
+                .map(id => indexByTabId.get(id))
+                .filter(idx => idx !== undefined);
+            if (indices.length === 0) continue;
+
+            const members = group.pinned ? indices : this.evictMisfits(tabVectors, indices);
+            if (members.length === 0) continue;
+
+            members.forEach(idx => claimed.add(idx));
+            seeds.push(this.createSeedCluster(tabVectors, members, group));
+        }
+
+        this.log(`🌱 ${seeds.length} existing group(s) kept as seeds`);
+
+        // Place free tabs into the closest seed when they clearly belong there
+        const threshold = this.computeAdaptiveThreshold(tabVectors.length, groupCapacity);
+        const free = [];
+
+        for (let idx = 0; idx < tabVectors.length; idx++) {
+            if (claimed.has(idx)) continue;
+
+            const tv = tabVectors[idx];
+            let bestSeed = null;
+            let bestScore = -Infinity;
+
+            for (const seed of seeds) {
+                const domainMatch = seed.domains.has(tv.domain);
+                const score = this.cosineSimilarity(tv.embedding, seed.centroid) +
+                    (domainMatch ? this.config.DOMAIN_AFFINITY_BOOST : 0);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestSeed = seed;
+                }
+            }
+
+            if (bestSeed && bestScore >= threshold) {
+                this.absorbIntoCluster(this.createSeedCluster(tabVectors, [idx]), bestSeed);
+                this.log(`   Added tab to "${bestSeed.seed.title}" (score: ${bestScore.toFixed(3)})`);
+            } else {
+                free.push(tv);
+            }
+        }
+
+        if (free.length === 0) return seeds;
+
+        // Cluster the leftovers among themselves with the remaining capacity
+        const remainingCapacity = Math.max(1, groupCapacity - seeds.length);
+        return [...seeds, ...this.runStrategy(free, remainingCapacity)];
+    }
+
+    /**
+     * Place individual tabs into the best-matching existing group
+     * Used by auto mode, so the rest of the window is never reclustered.
+     * 
+     * @param {chrome.tabs.Tab[]} tabs - Candidate tabs plus current group members
+     * @param {ExistingGroup[]} existingGroups - Groups in the window
+     * @param {number[]} candidateIds - Ids of the tabs to place
+     * @param {number} similarityFloor - Below this score a tab stays ungrouped
+     * @param {Object} [extractions] - Page content per tab id (see contentExtractor.js)
+     * @returns {Promise<{tabId: number, groupId: ?number, score: number}[]>}
+     */
+    async placeTabs(tabs, existingGroups, candidateIds, similarityFloor, extractions) {
+        const enrichedTabs = this.extractAndEnrichTabs(tabs, extractions);
+        this.chooseModelFor(enrichedTabs);
+        await this.init();
+
+        const tabVectors = await this.generateEmbeddings(enrichedTabs);
+        const candidates = new Set(candidateIds);
+        const indexByTabId = new Map(tabVectors.map((tv, idx) => [tv.tab.id, idx]));
+
+        // Candidates never count towards a group's centroid, even if already inside it
+        const seeds = existingGroups
+            .map(group => ({
+                group,
+                indices: group.tabIds
+                    .filter(id => !candidates.has(id))
+                    .map(id => indexByTabId.get(id))
+                    .filter(idx => idx !== undefined)
+            }))
+            .filter(({ indices }) => indices.length > 0)
+            .map(({ group, indices }) => this.createSeedCluster(tabVectors, indices, group));
+
+        const placements = [];
+        for (const id of candidateIds) {
+            const tv = tabVectors[indexByTabId.get(id)];
+            if (!tv) continue;
+
+            let bestSeed = null;
+            let bestScore = -Infinity;
+            for (const seed of seeds) {
+                const domainMatch = seed.domains.has(tv.domain);
+                const score = this.cosineSimilarity(tv.embedding, seed.centroid) +
+                    (domainMatch ? this.config.DOMAIN_AFFINITY_BOOST : 0);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestSeed = seed;
+                }
+            }
+
+            const placed = bestSeed && bestScore >= similarityFloor;
+            placements.push({
+                tabId: id,
+                groupId: placed ? bestSeed.seed.groupId : null,
+                score: bestScore
+            });
+            this.log(`🧲 Tab ${id}: ${placed ? `→ "${bestSeed.seed.title}"` : 'left ungrouped'} (score: ${bestScore.toFixed(3)})`);
+        }
+
+        return placements;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DUPLICATES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Find tabs showing the same page: the same canonical URL (see duplicates.js),
+     * or content at least DUPLICATE_SIMILARITY_THRESHOLD similar
+     * 
+     * @param {chrome.tabs.Tab[]} tabs
+     * @param {Object} [extractions] - Page content per tab id (see contentExtractor.js)
+     * @returns {Promise<Object[]>} Duplicate sets (see duplicates.js)
+     */
+    async findDuplicates(tabs, extractions) {
+        if (tabs.length < 2) return [];
+
+        const enrichedTabs = this.extractAndEnrichTabs(tabs, extractions);
+        this.chooseModelFor(enrichedTabs);
+        await this.init();
+        const tabVectors = await this.generateEmbeddings(enrichedTabs);
+        const keys = tabVectors.map(tv => canonicalUrl(tv.tab.url));
+
+        // Union-find over duplicate pairs, so sets are closed under "duplicate of"
+        const parent = tabVectors.map((_, idx) => idx);
+        const find = (idx) => parent[idx] === idx ? idx : (parent[idx] = find(parent[idx]));
+        const similarity = (i, j) => keys[i] && keys[i] === keys[j]
+            ? 1
+            : this.cosineSimilarity(tabVectors[i].embedding, tabVectors[j].embedding);
+
+        for (let i = 0; i < tabVectors.length; i++) {
+            for (let j = i + 1; j < tabVectors.length; j++) {
+                if (similarity(i, j) >= this.config.DUPLICATE_SIMILARITY_THRESHOLD) parent[find(j)] = find(i);
+            }
+        }
+
+        const sets = new Map();
+        tabVectors.forEach((_, idx) => {
+            const root = find(idx);
+            if (!sets.has(root)) sets.set(root, []);
+            sets.get(root).push(idx);
+        });
+
+        const duplicates = [];
+        for (const members of sets.values()) {
+            if (members.length < 2) continue;
+
+            let lowest = 1;
+            for (let a = 0; a < members.length; a++) {
+                for (let b = a + 1; b < members.length; b++) {
+                    lowest = Math.min(lowest, similarity(members[a], members[b]));
+                }
+            }
+            const sameUrl = members.every(idx => keys[idx] && keys[idx] === keys[members[0]]);
+            duplicates.push({
+                tabIds: members.map(idx => tabVectors[idx].tab.id),
+                kind: sameUrl ? 'url' : 'content',
+                similarity: sameUrl ? 1 : lowest
+            });
+        }
+
+        this.log(`👯 ${duplicates.length} duplicate set(s) among ${tabs.length} tabs`);
+        return duplicates;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TAB SEARCH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Embed tabs into the index ahead of a search (e.g. as their pages load)
+     *
+     * @param {chrome.tabs.Tab[]} tabs
+     * @param {Object} [extractions] - Page content per tab id (see contentExtractor.js)
+     */
+    async indexTabs(tabs, extractions) {
+        if (!this.index || tabs.length === 0) return;
+        if (this.model !== this.preferredModel) this.activateModel(this.preferredModel);
+        await this.init();
+        await this.generateEmbeddings(this.extractAndEnrichTabs(tabs, extractions));
+    }
+
+    /**
+     * Rank tabs against a free-text query: semantic similarity to the page plus
+     * the share of query words found in its title or URL
+     * Tabs the index doesn't hold (yet, or no longer after a restart) are
+     * embedded from their remembered content, else from their title, and join it.
+     *
+     * @param {string} query
+     * @param {chrome.tabs.Tab[]} tabs - Every tab that may be found
+     * @param {number} [limit]
+     * @param {Object} [extractions] - Cached page content per tab id (see contentExtractor.getCachedContents)
+     * @returns {Promise<{tabId: number, score: number, semantic: number, keyword: number}[]>} Best first
+     */
+    async searchTabs(query, tabs, limit = 8, extractions = {}) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0 || tabs.length === 0) return [];
+
+        if (this.model !== this.preferredModel) this.activateModel(this.preferredModel);
+        await this.init();
+        this.index?.retain(tabs.map(t => t.id));
+
+        const vectors = new Map();
+        const missing = [];
+        for (const tab of tabs) {
+            const embedding = this.index?.get(tab, this.modelKey);
+            if (embedding) vectors.set(tab.id, embedding);
+            else missing.push(tab);
+        }
+        if (missing.length > 0) {
+            this.log(`🔎 Embedding ${missing.length} unindexed tab(s) for search`);
+            const tabVectors = await this.generateEmbeddings(this.extractAndEnrichTabs(missing, extractions));
+            tabVectors.forEach(tv => vectors.set(tv.tab.id, tv.embedding));
+        }
+
+        const queryVector = await this.getEmbedding(query);
+        return tabs
+            .map(tab => {
+                const semantic = this.cosineSimilarity(queryVector, vectors.get(tab.id));
+                const haystack = `${tab.title || ''} ${tab.url || ''}`.toLowerCase();
+                const keyword = words.filter(word => haystack.includes(word)).length / words.length;
+                return { tabId: tab.id, score: semantic + keyword * this.config.SEARCH_KEYWORD_WEIGHT, semantic, keyword };
+            })
+            .filter(result => result.score >= this.config.SEARCH_MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Drop members of an existing group that are far from the rest of it
+     * Groups of two or fewer are kept as-is (not enough signal to judge)
+     */
+    evictMisfits(tabVectors, indices) {
+        if (indices.length <= 2) return indices;
+
+        return indices.filter(idx => {
+            const others = indices.filter(other => other !== idx).map(other => tabVectors[other].embedding);
+            const sim = this.cosineSimilarity(tabVectors[idx].embedding, this.computeCentroid(others));
+            if (sim < this.config.SEED_EVICTION_THRESHOLD) {
+                this.log(`   Released tab from existing group (sim: ${sim.toFixed(3)})`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Build a cluster from tab vector indices, optionally tied to an existing group
+     */
+    createSeedCluster(tabVectors, indices, group = null) {
+        const items = indices.map(idx => tabVectors[idx]);
+        const embeddings = items.map(item => item.embedding);
+
+        const cluster = {
+            indices: [...indices],
+            items,
+            embeddings,
+            domains: new Set(items.map(item => item.domain)),
+            centroid: this.computeCentroid(embeddings)
+        };
+
+        if (group) {
+            cluster.seed = {
+                groupId: group.groupId,
+                title: group.title || '',
+                color: group.color,
+                collapsed: !!group.collapsed,
+                pinned: !!group.pinned
+            };
+        }
+
+        return cluster;
+    }
+
     // ═══════════════════════════════════════════════════════════════════════════
     // CLUSTER NAMING & OUTPUT
     // ═══════════════════════════════════════════════════════════════════════════
 
     /**
      * Generate semantic names and colors for clusters
+     * New clusters matching a group from an earlier run (see groupMemory.js)
+     * inherit its name and color, so groups look the same from run to run.
      */
     async generateClusterMetadata(clusters) {
         const colors = ['blue', 'green', 'yellow', 'red', 'pink', 'purple', 'cyan', 'orange', 'grey'];
-        const results = [];
+        const slots = [];
+
+        // Names are ranked against the whole window and never repeat one another
+        const termIndex = createTermIndex(clusters.flatMap(c => c.items.map(item => item.terms)));
+        const takenNames = new Set(clusters
+            .filter(c => c.rule || c.seed)
+            .map(c => (c.rule ? c.rule.name : c.seed.title).toLowerCase()));
 
-        for (let i = 0; i < clusters.length; i++) {
-            const cluster = clusters[i];
+        const remembered = this.memory ? await this.memory.load(this.modelKey) : [];
+        const matches = this.matchRemembered(clusters, remembered);
+        const familyIds = new Map(); // Sub-group family → number shared by its results
+
+        for (const cluster of clusters) {
+            const tabIds = cluster.items.map(item => item.tab.id);
+            const reasons = this.explainPlacements(cluster);
+
+            // Rule groups have a fixed name (and color, if the rule sets one)
+            if (cluster.rule) {
+                slots.push({
+                    cluster,
+                    fixedColor: cluster.rule.color || cluster.seed?.color || null,
+                    result: {
+                        name: cluster.rule.name,
+                        color: null,
+                        tabIds,
+                        reasons,
+                        fromRule: true,
+                        ...(cluster.seed ? { groupId: cluster.seed.groupId, collapsed: cluster.seed.collapsed } : {})
+                    }
+                });
+                continue;
+            }
+
+            // Existing groups keep their title, color and collapsed state
+            if (cluster.seed) {
+                slots.push({
+                    cluster,
+                    fixedColor: cluster.seed.color,
+                    result: {
+                        name: cluster.seed.title,
+                        color: null,
+                        tabIds,
+                        reasons,
+                        groupId: cluster.seed.groupId,
+                        collapsed: cluster.seed.collapsed,
+                        pinned: cluster.seed.pinned
+                    }
+                });
+                continue;
+            }
 
             // Skip single-item clusters (they'll be left ungrouped)
             if (cluster.items.length === 1) continue;
 
-            const name = cluster.isMisc ? 'MISC' : await this.generateClusterName(cluster);
-
-            results.push({
-                name,
-                color: colors[i % colors.length],
-                tabIds: cluster.items.map(item => item.tab.id)
+            const match = matches.get(cluster);
+            const renamed = this.matchRename(cluster);
+            let name;
+            if (cluster.isMisc) {
+                name = 'MISC';
+            } else if (renamed && !takenNames.has(renamed.toLowerCase())) {
+                name = renamed;
+                this.log(`🎓 "${name}" is the name you gave these tabs`);
+            } else if (match && !takenNames.has(match.name.toLowerCase())) {
+                name = match.name;
+                this.log(`🔁 "${name}" recognized from an earlier run`);
+            } else if (cluster.family) {
+                const parentTopic = await this.familyTopic(cluster.family, termIndex);
+                name = await this.generateClusterName(cluster, cluster.family.termIndex, takenNames, parentTopic);
+            } else {
+                name = await this.generateClusterName(cluster, termIndex, takenNames);
+            }
+            takenNames.add(name.toLowerCase());
+
+            if (cluster.family && !familyIds.has(cluster.family)) familyIds.set(cluster.family, familyIds.size + 1);
+            slots.push({
+                cluster,
+                rememberedColor: match?.color,
+                result: {
+                    name, color: null, tabIds, reasons,
+                    ...(cluster.family ? { family: familyIds.get(cluster.family) } : {})
+                }
             });
         }
 
-        return results;
+        // Ordered before coloring, so neighbors in the strip never share a color
+        const ordered = this.orderSlots(slots);
+        this.assignColors(ordered, colors);
+        if (this.memory) await this.rememberGroups(ordered, remembered, matches);
+
+        return ordered.map(slot => slot.result);
     }
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ORDERING
+    // ═══════════════════════════════════════════════════════════════════════════
+
     /**
-     * Generate a semantic name for a cluster
-     * Uses TF-IDF-like scoring + semantic similarity to centroid
+     * Put groups in the configured order and sort the tabs inside each one
+     * Sub-groups of a topic move as one block, MISC always comes last.
+     * 
+     * @returns {Object[]} The slots, reordered
      */
-    async generateClusterName(cluster) {
-        const stopWords = new Set([
-            'the', 'and', 'is', 'in', 'at', 'of', 'for', 'to', 'with', 'on', 'a', 'an',
-            'http', 'https', 'com', 'www', 'video', 'watch', 'google', 'youtube',
-            'org', 'en', 'this', 'that', 'your', 'you', 'are', 'was', 'were', 'been',
-            'have', 'has', 'had', 'will', 'would', 'could', 'should', 'may', 'might',
-            'new', 'latest', 'home', 'page', 'site', 'web', 'online', 'free', 'best'
-        ]);
+    orderSlots(slots) {
+        if (this.ordering.tabs !== 'none') {
+            for (const slot of slots) {
+                slot.result.tabIds = this.orderItems(slot.cluster.items).map(item => item.tab.id);
+            }
+        }
+        if (this.ordering.groups === 'none') return slots;
+
+        const units = [];
+        const familyUnits = new Map();
+        for (const slot of slots) {
+            const family = slot.cluster.family;
+            if (family && familyUnits.has(family)) {
+                familyUnits.get(family).push(slot);
+                continue;
+            }
+            const unit = [slot];
+            if (family) familyUnits.set(family, unit);
+            units.push(unit);
+        }
 
-        // Candidate extraction with frequency counting
-        const candidates = new Map();
+        const misc = units.filter(unit => unit[0].cluster.isMisc);
+        return [...this.orderUnits(units.filter(unit => !misc.includes(unit))), ...misc]
+            .flatMap(unit => unit.length > 1 ? this.orderUnits(unit.map(slot => [slot])).flat() : unit);
+    }
 
-        // Add domain-based candidates
-        for (const domain of cluster.domains) {
-            if (!domain) continue;
-            const parts = domain.split('.').filter(p =>
-                p.length > 2 && !['com', 'org', 'net', 'io', 'co', 'www'].includes(p)
-            );
-            const main = parts.reduce((a, b) => a.length > b.length ? a : b, '');
-            if (main) {
-                candidates.set(main, (candidates.get(main) || 0) + 3);
+    /**
+     * Order blocks of slots by size, last use or similarity of their topics
+     */
+    orderUnits(units) {
+        const items = unit => unit.flatMap(slot => slot.cluster.items);
+
+        switch (this.ordering.groups) {
+            case 'size':
+                return [...units].sort((a, b) => items(b).length - items(a).length);
+            case 'recent': {
+                const lastUsed = unit => Math.max(...items(unit).map(item => item.tab.lastAccessed || 0));
+                return [...units].sort((a, b) => lastUsed(b) - lastUsed(a));
             }
+            case 'semantic': {
+                const placed = units.filter(unit => unit.every(slot => slot.cluster.centroid));
+                const rest = units.filter(unit => !placed.includes(unit));
+                const vectors = placed.map(unit => this.computeCentroid(unit.map(slot => slot.cluster.centroid)));
+                const order = chainOrder(vectors, (a, b) => this.cosineSimilarity(a, b));
+                return [...order.map(i => placed[i]), ...rest];
+            }
+            default:
+                return units;
         }
+    }
 
-        // Extract from titles
-        for (const item of cluster.items) {
-            const title = item.tab.title || '';
-            const words = title.toLowerCase()
-                .split(/[\W_]+/)
-                .filter(w => w.length > 2 && !stopWords.has(w));
+    /**
+     * Sort a cluster's tabs by site, by title, or into a chain of related pages
+     */
+    orderItems(items) {
+        switch (this.ordering.tabs) {
+            case 'domain':
+                return [...items].sort((a, b) => (a.baseDomain || '').localeCompare(b.baseDomain || '') ||
+                    (a.domain || '').localeCompare(b.domain || ''));
+            case 'title':
+                return [...items].sort((a, b) => (a.tab.title || '').localeCompare(b.tab.title || ''));
+            case 'chain':
+                return chainOrder(items.map(item => item.embedding), (a, b) => this.cosineSimilarity(a, b))
+                    .map(i => items[i]);
+            default:
+                return items;
+        }
+    }
 
-            // Unigrams
-            for (const w of words) {
-                candidates.set(w, (candidates.get(w) || 0) + 1);
+    /**
+     * Pair clusters with remembered groups, most similar pairs first
+     * 
+     * @returns {Map<Object, Object>} Cluster → remembered entry
+     */
+    matchRemembered(clusters, remembered) {
+        const pairs = [];
+        for (const cluster of clusters) {
+            if (cluster.rule || cluster.isMisc || !cluster.centroid) continue;
+            for (const entry of remembered) {
+                // Sub-groups only take over sub-group names, and the other way round
+                if (!!cluster.family !== entry.name.includes(SUBTOPIC_SEPARATOR)) continue;
+                const similarity = this.cosineSimilarity(cluster.centroid, entry.centroid);
+                if (similarity >= this.config.IDENTITY_MATCH_THRESHOLD) {
+                    pairs.push({ cluster, entry, similarity });
+                }
             }
+        }
 
-            // Bigrams (higher weight)
-            for (let i = 0; i < words.length - 1; i++) {
-                const bigram = `${words[i]} ${words[i + 1]}`;
-                candidates.set(bigram, (candidates.get(bigram) || 0) + 2);
-            }
+        const matches = new Map();
+        const usedEntries = new Set();
+        for (const { cluster, entry } of pairs.sort((a, b) => b.similarity - a.similarity)) {
+            if (matches.has(cluster) || usedEntries.has(entry)) continue;
+            matches.set(cluster, entry);
+            usedEntries.add(entry);
         }
+        return matches;
+    }
 
-        if (candidates.size === 0) return 'GROUP';
+    /**
+     * Color every group: kept and rule groups keep theirs, remembered groups
+     * get theirs back if still free, the rest take the least used color.
+     * Sub-groups after the first of their family take related shades of its color.
+     * Neighbors never share a color, even with more groups than colors.
+     */
+    assignColors(slots, colors) {
+        const usage = new Map(colors.map(color => [color, 0]));
+        const use = (slot, color) => {
+            slot.result.color = color;
+            usage.set(color, (usage.get(color) || 0) + 1);
+        };
+        const neighborColors = (i) => [slots[i - 1], slots[i + 1]]
+            .map(slot => slot?.result.color)
+            .filter(Boolean);
+
+        slots.filter(slot => slot.fixedColor).forEach(slot => use(slot, slot.fixedColor));
+
+        const familyHeads = new Map();
+        slots.forEach((slot, i) => {
+            const family = slot.cluster.family;
+            if (family && !familyHeads.has(family)) familyHeads.set(family, i);
+        });
+        const isFollower = (slot, i) => slot.cluster.family && familyHeads.get(slot.cluster.family) !== i;
+
+        slots.forEach((slot, i) => {
+            const color = slot.rememberedColor;
+            if (slot.result.color || !color || usage.get(color) > 0 || isFollower(slot, i)) return;
+            if (!neighborColors(i).includes(color)) use(slot, color);
+        });
+
+        slots.forEach((slot, i) => {
+            if (slot.result.color) return;
+
+            if (isFollower(slot, i)) {
+                const head = familyHeads.get(slot.cluster.family);
+                const base = slots[head].result.color;
+                const shades = [base, ...(RELATED_COLORS[base] || [])];
+                use(slot, shades[(i - head) % shades.length]);
+                return;
+            }
+
+            const blocked = new Set(neighborColors(i));
+            const [color] = colors
+                .filter(c => !blocked.has(c))
+                .sort((a, b) => usage.get(a) - usage.get(b));
+            use(slot, color || colors[0]);
+        });
+    }
+
+    /**
+     * Store this run's groups, replacing the remembered groups they matched
+     * Untitled groups (e.g. an existing group the user never named) have no name to hand back.
+     */
+    async rememberGroups(slots, remembered, matches) {
+        const now = Date.now();
+        const replaced = new Set();
+        const entries = [];
+
+        for (const { cluster, result } of slots) {
+            if (cluster.rule || cluster.isMisc || !cluster.centroid || !result.name?.trim()) continue;
+            if (matches.has(cluster)) replaced.add(matches.get(cluster));
+            entries.push({ centroid: cluster.centroid, name: result.name, color: result.color, lastSeen: now });
+        }
 
-        // Get top candidates by frequency
-        const topCandidates = [...candidates.entries()]
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 6)
-            .map(([word]) => word);
+        await this.memory.save(this.modelKey, [...entries, ...remembered.filter(entry => !replaced.has(entry))]);
+    }
 
-        // Find best semantic match to centroid
-        let bestScore = -1;
-        let bestName = topCandidates[0];
+    /**
+     * Human-readable reason for each member's placement, keyed by tab id
+     */
+    explainPlacements(cluster) {
+        const reasons = {};
 
-        for (const candidate of topCandidates) {
-            const vec = await this.getEmbedding(candidate);
-            const score = this.cosineSimilarity(vec, cluster.centroid);
-            if (score > bestScore) {
-                bestScore = score;
-                bestName = candidate;
+        for (const item of cluster.items) {
+            if (cluster.rule) {
+                reasons[item.tab.id] = `Matched rule "${cluster.rule.pattern}"`;
+                continue;
+            }
+            if (cluster.isMisc) {
+                reasons[item.tab.id] = 'No close match elsewhere, collected in MISC';
+                continue;
+            }
+            if (cluster.seed && item.tab.groupId === cluster.seed.groupId) {
+                reasons[item.tab.id] = 'Already in this group';
+                continue;
             }
+
+            const sameSite = cluster.items.filter(other =>
+                other !== item && other.domain && other.domain === item.domain).length;
+            const similarity = this.cosineSimilarity(item.embedding, cluster.centroid);
+
+            reasons[item.tab.id] = `Content similarity ${(similarity * 100).toFixed(0)}% to the group` +
+                (sameSite > 0 ? `, same site as ${sameSite} other tab${sameSite > 1 ? 's' : ''}` : '');
         }
 
-        // Format: Title case for multi-word, UPPERCASE for single word
-        if (bestName.includes(' ')) {
-            return bestName.split(' ')
-                .map(w => w.charAt(0).toUpperCase() + w.slice(1))
-                .join(' ');
+        return reasons;
+    }
+
+    /**
+     * Generate a name for a cluster in the configured naming mode
+     * Keyphrases are ranked by cluster-vs-window TF-IDF over page content, then
+     * by semantic similarity to the centroid; names already taken are skipped.
+     */
+    async generateClusterName(cluster, termIndex, takenNames = new Set(), parentTopic = null) {
+        const keyphrases = await this.rankClusterKeyphrases(cluster, termIndex);
+        const site = this.dominantSite(cluster);
+
+        let topics = keyphrases.map(k => displayCase(k.surface));
+        if (this.naming.mode === 'emoji') {
+            const words = keyphrases.filter(k => k.words === 1).map(k => displayCase(k.surface));
+            if (words.length > 0) topics = words;
+        }
+        if (parentTopic) {
+            // The parent's words (plurals included) tell siblings nothing: "Quick Sauce" → "Quick"
+            const stem = word => word.toLowerCase().replace(/s$/, '');
+            const parentWords = new Set(parentTopic.split(' ').map(stem));
+            topics = [...new Set(topics
+                .map(topic => topic.split(' ').filter(word => !parentWords.has(stem(word))).join(' '))
+                .filter(Boolean))];
+        }
+        if (topics.length === 0) topics = [site || 'Group'];
+
+        let labels = topics;
+        if (parentTopic) {
+            labels = topics.map(topic => `${parentTopic}${SUBTOPIC_SEPARATOR}${topic}`);
+        } else if (this.naming.mode === 'domain' && site) {
+            labels = [site, ...topics.map(topic => `${site} ${topic}`)];
+        }
+
+        const parts = {
+            domain: site || topics[0],
+            count: cluster.items.length,
+            emoji: pickEmoji([...keyphrases.map(k => k.term), ...cluster.domains].join(' '))
+        };
+
+        for (const label of labels) {
+            const name = formatName(label, parts, this.naming);
+            if (!takenNames.has(name.toLowerCase())) return name;
+        }
+        return uniqueName(formatName(labels[0], parts, this.naming), takenNames);
+    }
+
+    /**
+     * Keyphrases ranked by TF-IDF against the index, reranked by closeness to the centroid
+     */
+    async rankClusterKeyphrases(cluster, termIndex) {
+        const keyphrases = rankKeyphrases(cluster.items.map(item => item.terms), termIndex);
+
+        // Rerank by closeness to the centroid, keeping TF-IDF as an equal partner
+        if (keyphrases.length > 1) {
+            const topScore = keyphrases[0].score || 1;
+            const vectors = await this.getEmbeddings(keyphrases.map(k => k.term));
+            keyphrases.forEach((k, i) => {
+                k.score = k.score / topScore + this.cosineSimilarity(vectors[i], cluster.centroid);
+            });
+            keyphrases.sort((a, b) => b.score - a.score);
+        }
+
+        return keyphrases;
+    }
+
+    /**
+     * Topic a family of sub-groups shares (its main site in domain mode)
+     * Worked out once per family, along with the term index its members are
+     * ranked against, so sub-topics are what sets them apart from each other.
+     */
+    async familyTopic(family, termIndex) {
+        if (!family.topic) {
+            const [top] = await this.rankClusterKeyphrases(family.parent, termIndex);
+            const site = this.dominantSite(family.parent);
+            family.topic = this.naming.mode === 'domain' && site ? site
+                : top ? displayCase(top.surface) : site || 'Group';
+            family.termIndex = createTermIndex(family.parent.items.map(item => item.terms));
+        }
+        return family.topic;
+    }
+
+    /**
+     * Main label of the most common site in a cluster ("github.com" → "Github")
+     */
+    dominantSite(cluster) {
+        const counts = new Map();
+        for (const item of cluster.items) {
+            if (item.baseDomain) counts.set(item.baseDomain, (counts.get(item.baseDomain) || 0) + 1);
         }
-        return bestName.toUpperCase();
+        if (counts.size === 0) return '';
+
+        const [domain] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+        const parts = domain.split('.').filter(p =>
+            p.length > 2 && !['com', 'org', 'net', 'io', 'co', 'www'].includes(p)
+        );
+        const main = parts.reduce((a, b) => a.length > b.length ? a : b, '') || domain;
+        return displayCase(main);
     }
 }
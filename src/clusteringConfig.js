@@ -0,0 +1,205 @@
+/**
+ * Grooopy Clustering Configuration
+ * Schema, defaults and presets for ClusteringEngine hyperparameters.
+ *
+ * Kept apart from clustering.js so the options page can use it without
+ * bundling the model runtime.
+ */
+
+/**
+ * Every tunable parameter with its default and allowed range.
+ * Defaults have been tuned through extensive testing across diverse tab sets;
+ * the user's corrections shift thresholds and boosts per run (see corrections.js).
+ */
+export const CONFIG_SCHEMA = {
+    // Primary clustering thresholds
+    CONTENT_SIMILARITY_THRESHOLD: {
+        type: 'number', default: 0.38, min: 0, max: 1, step: 0.01,
+        label: 'Content similarity threshold', hint: 'Base semantic similarity needed to merge'
+    },
+    DOMAIN_AFFINITY_BOOST: {
+        type: 'number', default: 0.15, min: 0, max: 0.5, step: 0.01,
+        label: 'Same-domain boost', hint: 'Added to similarity of tabs on the same site'
+    },
+    URL_PATH_BOOST: {
+        type: 'number', default: 0.08, min: 0, max: 0.5, step: 0.01,
+        label: 'URL path boost', hint: 'Added for tabs sharing URL path segments'
+    },
+
+    // Hierarchical merge thresholds
+    MERGE_SIMILARITY_THRESHOLD: {
+        type: 'number', default: 0.30, min: 0, max: 1, step: 0.01,
+        label: 'Group merge threshold', hint: 'Threshold for merging related groups'
+    },
+    FORCED_MERGE_MULTIPLIER: {
+        type: 'number', default: 1.5, min: 1, max: 5, step: 0.1,
+        label: 'Forced merge multiplier', hint: 'Force merge when groups exceed capacity × this'
+    },
+
+    // Singleton handling
+    SINGLETON_ABSORPTION_THRESHOLD: {
+        type: 'number', default: 0.25, min: 0, max: 1, step: 0.01,
+        label: 'Singleton absorption threshold', hint: 'Lower bar for a lone tab to join a group'
+    },
+    SINGLETON_CLUSTER_THRESHOLD: {
+        type: 'number', default: 0.33, min: 0, max: 1, step: 0.01,
+        label: 'Singleton pairing threshold', hint: 'Threshold for lone tabs to group together'
+    },
+    MIN_ORPHANS_FOR_MISC: {
+        type: 'integer', default: 3, min: 1, max: 50,
+        label: 'Minimum tabs for MISC', hint: 'Leftover tabs needed before a MISC group is made'
+    },
+
+    // Incremental grouping
+    SEED_EVICTION_THRESHOLD: {
+        type: 'number', default: 0.20, min: 0, max: 1, step: 0.01,
+        label: 'Existing group eviction threshold', hint: 'Members below this leave an unpinned group'
+    },
+
+    // Group identity across runs
+    IDENTITY_MATCH_THRESHOLD: {
+        type: 'number', default: 0.80, min: 0.5, max: 1, step: 0.01,
+        label: 'Group memory match threshold', hint: 'Similarity for a group to keep an earlier name and color'
+    },
+
+    // Duplicate detection
+    DUPLICATE_SIMILARITY_THRESHOLD: {
+        type: 'number', default: 0.97, min: 0.85, max: 1, step: 0.01,
+        label: 'Near-duplicate threshold', hint: 'Content similarity at which two different URLs count as the same page'
+    },
+
+    // Tab search
+    SEARCH_KEYWORD_WEIGHT: {
+        type: 'number', default: 0.3, min: 0, max: 1, step: 0.05,
+        label: 'Search keyword weight', hint: 'Added to a search result when all query words appear in its title or URL'
+    },
+    SEARCH_MIN_SCORE: {
+        type: 'number', default: 0.2, min: 0, max: 1, step: 0.01,
+        label: 'Search result threshold', hint: 'Lowest score a tab needs to show up in search results'
+    },
+
+    // Screen capacity estimation
+    PIXELS_PER_GROUP: {
+        type: 'integer', default: 130, min: 40, max: 600,
+        label: 'Pixels per group', hint: 'Estimated tab strip width each group needs'
+    },
+    MIN_GROUPS: {
+        type: 'integer', default: 2, min: 1, max: 30,
+        label: 'Minimum groups', hint: 'Minimum groups to maintain'
+    },
+    MAX_GROUPS: {
+        type: 'integer', default: 10, min: 1, max: 30,
+        label: 'Maximum groups', hint: 'Maximum groups regardless of screen'
+    },
+
+    // Two-level grouping
+    MAX_GROUP_SIZE: {
+        type: 'integer', default: 0, min: 0, max: 100,
+        label: 'Maximum group size', hint: 'Bigger topics split into sub-groups like "React · Hooks" (0 = never split)'
+    },
+
+    // Debug mode
+    DEBUG: {
+        type: 'boolean', default: false,
+        label: 'Debug logging', hint: 'Log clustering decisions to the offscreen console'
+    }
+};
+
+export const DEFAULT_CONFIG = Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+/**
+ * Named presets: overrides on top of the defaults
+ */
+export const PRESETS = {
+    balanced: {
+        label: 'Balanced (default)',
+        config: {}
+    },
+    broad: {
+        label: 'Fewer, broader groups',
+        config: {
+            CONTENT_SIMILARITY_THRESHOLD: 0.30,
+            MERGE_SIMILARITY_THRESHOLD: 0.24,
+            SINGLETON_ABSORPTION_THRESHOLD: 0.20,
+            SINGLETON_CLUSTER_THRESHOLD: 0.27,
+            MIN_ORPHANS_FOR_MISC: 2,
+            PIXELS_PER_GROUP: 180,
+            MAX_GROUPS: 6
+        }
+    },
+    tight: {
+        label: 'Many tight groups',
+        config: {
+            CONTENT_SIMILARITY_THRESHOLD: 0.48,
+            MERGE_SIMILARITY_THRESHOLD: 0.38,
+            SINGLETON_ABSORPTION_THRESHOLD: 0.35,
+            SINGLETON_CLUSTER_THRESHOLD: 0.42,
+            MIN_ORPHANS_FOR_MISC: 4,
+            PIXELS_PER_GROUP: 100,
+            MAX_GROUPS: 16
+        }
+    }
+};
+
+/**
+ * Full config for a preset
+ */
+export function presetConfig(name) {
+    return { ...DEFAULT_CONFIG, ...(PRESETS[name]?.config || {}) };
+}
+
+/**
+ * Validate a (partial) config against the schema
+ * Unknown keys are dropped; missing keys take their default.
+ *
+ * @returns {{config: Object, errors: string[]}} config is always usable:
+ *          invalid values are replaced by their default and reported in errors
+ */
+export function validateConfig(input = {}) {
+    const config = { ...DEFAULT_CONFIG };
+    const errors = [];
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (input[key] === undefined) continue;
+        const value = input[key];
+
+        if (spec.type === 'boolean') {
+            if (typeof value === 'boolean') config[key] = value;
+            else errors.push(`${spec.label} must be on or off`);
+            continue;
+        }
+
+        const valid = typeof value === 'number' && Number.isFinite(value) &&
+            (spec.type !== 'integer' || Number.isInteger(value));
+        if (!valid) {
+            errors.push(`${spec.label} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}`);
+        } else if (value < spec.min || value > spec.max) {
+            errors.push(`${spec.label} must be between ${spec.min} and ${spec.max}`);
+        } else {
+            config[key] = value;
+        }
+    }
+
+    if (config.MIN_GROUPS > config.MAX_GROUPS) {
+        errors.push('Minimum groups cannot exceed maximum groups');
+        config.MIN_GROUPS = DEFAULT_CONFIG.MIN_GROUPS;
+        config.MAX_GROUPS = DEFAULT_CONFIG.MAX_GROUPS;
+    }
+
+    return { config, errors };
+}
+
+/**
+ * Name of the preset a config matches exactly, or null for custom values
+ */
+export function matchPreset(config) {
+    for (const name of Object.keys(PRESETS)) {
+        const preset = presetConfig(name);
+        if (Object.keys(CONFIG_SCHEMA).every(key => key === 'DEBUG' || preset[key] === config[key])) {
+            return name;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,382 @@
+/**
+ * Grooopy Clustering Strategies
+ * Interchangeable algorithms for the step between the similarity matrix and
+ * naming. Every strategy has the signature
+ *
+ *   cluster(engine, tabVectors, similarityMatrix, groupCapacity) → cluster[]
+ *
+ * and returns clusters in the engine's shape (see ClusteringEngine.createCluster),
+ * with at most one `isMisc` cluster for leftovers, so naming and applyGroups
+ * never need to know which one ran.
+ *
+ * Kept apart from clustering.js so the options page can list them without
+ * bundling the model runtime.
+ */
+
+/**
+ * Position of pair (i, j), i < j, in a condensed n × n matrix
+ */
+export function condensedIndex(n, i, j) {
+    return i * n - (i * (i + 1)) / 2 + (j - i - 1);
+}
+
+/**
+ * Similarity of tabs i and j from a condensed matrix (see buildSimilarityMatrix)
+ */
+export function similarityAt(matrix, i, j) {
+    if (i === j) return 1;
+    return matrix.values[i < j ? condensedIndex(matrix.size, i, j) : condensedIndex(matrix.size, j, i)];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HAC (default)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Threshold-limited average-linkage HAC, then the singleton pass
+ */
+function clusterHac(engine, tabVectors, similarityMatrix, groupCapacity) {
+    const clusters = engine.agglomerativeClustering(tabVectors, similarityMatrix, groupCapacity);
+    return engine.consolidateSingletons(clusters, groupCapacity);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DENSITY (HDBSCAN-style)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MIN_CLUSTER_SIZE = 2;
+const MIN_SAMPLES = 2;
+
+/**
+ * HDBSCAN-style density clustering
+ * Tabs in no dense region are noise: collected in MISC when there are enough
+ * of them, otherwise left ungrouped. Stable clusters beyond the capacity are
+ * merged by centroid similarity.
+ */
+function clusterDensity(engine, tabVectors, similarityMatrix, groupCapacity) {
+    const n = tabVectors.length;
+    if (n < MIN_CLUSTER_SIZE * 2) return clusterHac(engine, tabVectors, similarityMatrix, groupCapacity);
+
+    const distance = (i, j) => Math.max(0, 1 - similarityAt(similarityMatrix, i, j));
+
+    // Core distance: distance to the MIN_SAMPLES-th nearest neighbor
+    const core = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        const distances = [];
+        for (let j = 0; j < n; j++) if (j !== i) distances.push(distance(i, j));
+        distances.sort((a, b) => a - b);
+        core[i] = distances[Math.min(MIN_SAMPLES, distances.length) - 1];
+    }
+
+    const edges = minimumSpanningTree(n, (i, j) => Math.max(core[i], core[j], distance(i, j)));
+    const labels = extractStableClusters(n, edges);
+
+    const groups = new Map();
+    const noise = [];
+    labels.forEach((label, idx) => {
+        if (label === -1) noise.push(idx);
+        else groups.set(label, [...(groups.get(label) || []), idx]);
+    });
+
+    const build = (indices) => engine.createCluster(indices.map(idx => tabVectors[idx]), indices);
+    let clusters = mergeToCapacity(engine, [...groups.values()].map(build), groupCapacity);
+    engine.log(`🌫️ Density: ${clusters.length} cluster(s), ${noise.length} noise tab(s)`);
+
+    if (noise.length >= engine.config.MIN_ORPHANS_FOR_MISC) {
+        clusters = [...clusters, { ...build(noise), isMisc: true }];
+    } else {
+        clusters = [...clusters, ...noise.map(idx => build([idx]))];
+    }
+    return clusters;
+}
+
+/**
+ * Prim's algorithm on a dense graph
+ * @returns {{a: number, b: number, weight: number}[]} n - 1 edges
+ */
+function minimumSpanningTree(n, weight) {
+    const inTree = new Uint8Array(n);
+    const bestWeight = new Float64Array(n).fill(Infinity);
+    const bestFrom = new Int32Array(n).fill(-1);
+    const edges = [];
+
+    let current = 0;
+    inTree[0] = 1;
+    for (let added = 1; added < n; added++) {
+        let next = -1;
+        for (let k = 0; k < n; k++) {
+            if (inTree[k]) continue;
+            const w = weight(current, k);
+            if (w < bestWeight[k]) {
+                bestWeight[k] = w;
+                bestFrom[k] = current;
+            }
+            if (next === -1 || bestWeight[k] < bestWeight[next]) next = k;
+        }
+        edges.push({ a: bestFrom[next], b: next, weight: bestWeight[next] });
+        inTree[next] = 1;
+        current = next;
+    }
+
+    return edges;
+}
+
+/**
+ * Condense the single-linkage tree of the MST and pick the most stable
+ * clusters (excess of mass, as in HDBSCAN)
+ *
+ * @returns {number[]} Cluster label per point, -1 for noise
+ */
+function extractStableClusters(n, edges) {
+    // Single-linkage dendrogram: node ids n.. are merges, in ascending distance
+    const parent = Int32Array.from({ length: 2 * n }, (_, i) => i);
+    const find = (x) => {
+        while (parent[x] !== x) x = parent[x] = parent[parent[x]];
+        return x;
+    };
+    const children = [];
+    const size = new Int32Array(2 * n).fill(1);
+    const lambda = new Float64Array(2 * n); // 1 / distance at which a node forms
+
+    [...edges].sort((x, y) => x.weight - y.weight).forEach((edge, step) => {
+        const node = n + step;
+        const left = find(edge.a);
+        const right = find(edge.b);
+        parent[left] = node;
+        parent[right] = node;
+        children[node] = [left, right];
+        size[node] = size[left] + size[right];
+        lambda[node] = 1 / Math.max(edge.weight, 1e-6);
+    });
+    const root = 2 * n - 2;
+
+    // Condensed tree: clusters are born at true splits; small branches shed points
+    const clusters = []; // { parent, birth, stability, points: [], children: [] }
+    const labelOf = new Int32Array(n).fill(-1);
+
+    const leaves = (node) => node < n ? [node] : children[node].flatMap(leaves);
+
+    const walk = (node, clusterId) => {
+        const cluster = clusters[clusterId];
+        if (node < n) {
+            cluster.points.push(node);
+            return;
+        }
+
+        const [left, right] = children[node];
+        const splitLambda = lambda[node];
+        const bigLeft = size[left] >= MIN_CLUSTER_SIZE;
+        const bigRight = size[right] >= MIN_CLUSTER_SIZE;
+
+        if (bigLeft && bigRight) {
+            // True split: both sides become child clusters; every point leaves here
+            cluster.stability += size[node] * (splitLambda - cluster.birth);
+            for (const child of [left, right]) {
+                const childId = clusters.length;
+                clusters.push({ parent: clusterId, birth: splitLambda, stability: 0, points: [], children: [] });
+                cluster.children.push(childId);
+                walk(child, childId);
+            }
+            return;
+        }
+
+        // Points of a too-small branch fall out of the cluster at this distance
+        for (const side of [left, right]) {
+            if (size[side] >= MIN_CLUSTER_SIZE) {
+                walk(side, clusterId);
+            } else {
+                for (const point of leaves(side)) {
+                    cluster.stability += splitLambda - cluster.birth;
+                    cluster.points.push(point);
+                }
+            }
+        }
+    };
+
+    clusters.push({ parent: -1, birth: 0, stability: 0, points: [], children: [] });
+    walk(root, 0);
+
+    // Excess of mass: keep a cluster unless its descendants are more stable together
+    const selected = new Set();
+    const bestStability = (id) => {
+        const cluster = clusters[id];
+        const childTotal = cluster.children.reduce((sum, child) => sum + bestStability(child), 0);
+        if (id !== 0 && (cluster.children.length === 0 || cluster.stability >= childTotal)) {
+            selected.add(id);
+            return cluster.stability;
+        }
+        return childTotal;
+    };
+    bestStability(0);
+
+    // A selected cluster owns its own points and those of all its descendants
+    const collect = (id) => [...clusters[id].points, ...clusters[id].children.flatMap(collect)];
+    const keep = [...selected].filter(id => {
+        for (let p = clusters[id].parent; p !== -1; p = clusters[p].parent) {
+            if (selected.has(p)) return false;
+        }
+        return true;
+    });
+    keep.forEach((id, label) => {
+        for (const point of collect(id)) labelOf[point] = label;
+    });
+
+    return [...labelOf];
+}
+
+/**
+ * Merge the most similar clusters (by centroid) until at most `capacity` remain
+ */
+function mergeToCapacity(engine, clusters, capacity) {
+    clusters = [...clusters];
+    while (clusters.length > Math.max(1, capacity)) {
+        let best = null;
+        for (let i = 0; i < clusters.length; i++) {
+            for (let j = i + 1; j < clusters.length; j++) {
+                const similarity = engine.cosineSimilarity(clusters[i].centroid, clusters[j].centroid);
+                if (!best || similarity > best.similarity) best = { i, j, similarity };
+            }
+        }
+        const merged = engine.mergeClusters(clusters[best.i], clusters[best.j]);
+        clusters = clusters.filter((_, idx) => idx !== best.i && idx !== best.j);
+        clusters.push(merged);
+    }
+    return clusters;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// K-MEANS (automatic k)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const KMEANS_MAX_ITERATIONS = 30;
+
+/**
+ * Kernel k-means over the similarity matrix, for every k from 2 to the
+ * capacity; the k with the best mean silhouette wins. Every tab is assigned,
+ * so there is no MISC group.
+ */
+function clusterKMeans(engine, tabVectors, similarityMatrix, groupCapacity) {
+    const n = tabVectors.length;
+    const maxK = Math.min(groupCapacity, n - 1);
+    if (maxK < 2) return clusterHac(engine, tabVectors, similarityMatrix, groupCapacity);
+
+    let best = null;
+    for (let k = 2; k <= maxK; k++) {
+        const assignment = kernelKMeans(similarityMatrix, k);
+        const score = silhouette(similarityMatrix, assignment, k);
+        engine.log(`📐 k=${k}: silhouette ${score.toFixed(3)}`);
+        if (!best || score > best.score) best = { k, assignment, score };
+    }
+
+    const members = Array.from({ length: best.k }, () => []);
+    best.assignment.forEach((cluster, idx) => members[cluster].push(idx));
+
+    return members
+        .filter(indices => indices.length > 0)
+        .map(indices => engine.createCluster(indices.map(idx => tabVectors[idx]), indices));
+}
+
+/**
+ * Mean similarity of tab i to the members of each cluster (excluding itself)
+ */
+function meanSimilarities(matrix, assignment, k, i) {
+    const totals = new Float64Array(k);
+    const counts = new Int32Array(k);
+    for (let j = 0; j < matrix.size; j++) {
+        if (j === i) continue;
+        totals[assignment[j]] += similarityAt(matrix, i, j);
+        counts[assignment[j]]++;
+    }
+    return Array.from(totals, (total, c) => counts[c] > 0 ? total / counts[c] : null);
+}
+
+/**
+ * Deterministic kernel k-means: maximin seeding, then reassign each tab to the
+ * cluster it is most similar to on average until nothing moves
+ */
+function kernelKMeans(matrix, k) {
+    const n = matrix.size;
+
+    // Seed with the most central tab, then repeatedly the tab least like any seed
+    const centrality = Array.from({ length: n }, (_, i) => {
+        let total = 0;
+        for (let j = 0; j < n; j++) if (j !== i) total += similarityAt(matrix, i, j);
+        return total;
+    });
+    const seeds = [centrality.indexOf(Math.max(...centrality))];
+    while (seeds.length < k) {
+        let next = -1, nextScore = Infinity;
+        for (let i = 0; i < n; i++) {
+            if (seeds.includes(i)) continue;
+            const closest = Math.max(...seeds.map(s => similarityAt(matrix, i, s)));
+            if (closest < nextScore) {
+                nextScore = closest;
+                next = i;
+            }
+        }
+        seeds.push(next);
+    }
+
+    let assignment = Array.from({ length: n }, (_, i) => {
+        const sims = seeds.map(s => similarityAt(matrix, i, s));
+        return sims.indexOf(Math.max(...sims));
+    });
+
+    for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+        const next = assignment.map((current, i) => {
+            const means = meanSimilarities(matrix, assignment, k, i);
+            let bestCluster = current;
+            means.forEach((mean, c) => {
+                if (mean !== null && mean > (means[bestCluster] ?? -Infinity)) bestCluster = c;
+            });
+            return bestCluster;
+        });
+
+        const moved = next.some((c, i) => c !== assignment[i]);
+        assignment = next;
+        if (!moved) break;
+    }
+
+    return assignment;
+}
+
+/**
+ * Mean silhouette coefficient, with distance = 1 - similarity
+ * Tabs alone in their cluster score 0, as is conventional.
+ */
+function silhouette(matrix, assignment, k) {
+    const sizes = new Int32Array(k);
+    assignment.forEach(c => sizes[c]++);
+
+    let total = 0;
+    for (let i = 0; i < matrix.size; i++) {
+        if (sizes[assignment[i]] <= 1) continue;
+
+        const means = meanSimilarities(matrix, assignment, k, i);
+        const a = 1 - means[assignment[i]];
+        const b = Math.min(...means
+            .map((mean, c) => c !== assignment[i] && mean !== null ? 1 - mean : Infinity));
+        if (b === Infinity) continue;
+        total += (b - a) / Math.max(a, b, 1e-9);
+    }
+    return total / matrix.size;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const CLUSTERING_STRATEGIES = {
+    hac: { label: 'Hierarchical (default)', cluster: clusterHac },
+    density: { label: 'Density-based (HDBSCAN-style)', cluster: clusterDensity },
+    kmeans: { label: 'k-means with automatic k', cluster: clusterKMeans }
+};
+
+export const DEFAULT_STRATEGY = 'hac';
+
+/**
+ * Registry entry for a strategy id (the default for unknown ids)
+ */
+export function getStrategy(id) {
+    return CLUSTERING_STRATEGIES[id] || CLUSTERING_STRATEGIES[DEFAULT_STRATEGY];
+}
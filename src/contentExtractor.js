@@ -0,0 +1,221 @@
+/**
+ * Grooopy Content Extractor
+ * Pulls semantic page content out of tabs for the clustering engine.
+ *
+ * Runs in the service worker (offscreen documents have no chrome.scripting),
+ * extracts several tabs at once with a per-tab timeout so one hung page can't
+ * stall a grouping run, and remembers the last live content of each URL so
+ * discarded tabs still have more than a title to go on. Incognito pages are
+ * never remembered: local storage outlives the incognito session.
+ */
+
+const CONTENT_CACHE_KEY = 'extractedContent';
+const MAX_CACHED_PAGES = 500;
+
+// Cache writes run one after another, each merging into what the previous one stored
+let cacheWrites = Promise.resolve();
+
+export const EXTRACTION_DEFAULTS = {
+    concurrency: 6,
+    timeoutMs: 3000
+};
+
+/**
+ * How a tab's content was obtained
+ *  - live:       extracted from the page just now
+ *  - cached:     tab is discarded, used content from when it was last live
+ *  - discarded:  tab is discarded and never seen live: title + URL only
+ *  - timeout:    page didn't answer in time (cached content if any, else title + URL)
+ *  - failed:     injection failed (e.g. error page, blocked host): title + URL
+ *  - restricted: browser-internal page that can't be scripted: title + URL
+ */
+export const EXTRACTION_SOURCES = ['live', 'cached', 'discarded', 'timeout', 'failed', 'restricted'];
+
+/**
+ * Injected into the page: extract semantic content
+ */
+function extractPageContent() {
+    const getMeta = (name) =>
+        document.querySelector(`meta[name="${name}"]`)?.content ||
+        document.querySelector(`meta[property="${name}"]`)?.content || '';
+
+    const getText = (selector, limit = 1) =>
+        Array.from(document.querySelectorAll(selector))
+            .slice(0, limit)
+            .map(el => el.innerText?.trim())
+            .filter(Boolean)
+            .join(' ');
+
+    return {
+        title: document.title,
+        description: getMeta('description') || getMeta('og:description'),
+        keywords: getMeta('keywords'),
+        h1: getText('h1'),
+        h2: getText('h2', 3),
+        firstParagraph: getText('article p, main p, .content p, p', 2),
+        pathHint: window.location.pathname.replace(/[\/\-_\.]/g, ' ').trim(),
+        lang: document.documentElement.lang || ''
+    };
+}
+
+/**
+ * Whether the extension may inject scripts into a URL
+ */
+export function isScriptable(url) {
+    return !!url && /^https?:/.test(url) && !url.startsWith('https://chrome.google.com/webstore');
+}
+
+/**
+ * Extract content for many tabs concurrently
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {Object} [options] - { concurrency, timeoutMs }
+ * @returns {Promise<Object<number, {content: string, source: string, lang?: string, description?: string, ms: number}>>}
+ *          Keyed by tab id; lang is the page's declared language and description
+ *          its meta description, when known
+ */
+export async function extractTabContents(tabs, options = {}) {
+    const { concurrency, timeoutMs } = { ...EXTRACTION_DEFAULTS, ...options };
+    const cache = await loadContentCache();
+    const updates = {};
+    const results = {};
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tabs.length) {
+            const tab = tabs[next++];
+            const start = performance.now();
+            const record = await extractTab(tab, cache, updates, timeoutMs);
+            results[tab.id] = { ...record, ms: Math.round(performance.now() - start) };
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, tabs.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    await updateContentCache(updates);
+
+    return results;
+}
+
+/**
+ * The remembered content of tabs' pages, without touching the pages
+ * Tabs whose page was never extracted live are left out.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<Object<number, {content: string, source: string, lang?: string, description?: string}>>}
+ *          Keyed by tab id, like extractTabContents
+ */
+export async function getCachedContents(tabs) {
+    const cache = await loadContentCache();
+    const results = {};
+    for (const tab of tabs) {
+        const cached = cache[tab.url];
+        if (cached) results[tab.id] = { content: cached.content, source: 'cached', lang: cached.lang, description: cached.description };
+    }
+    return results;
+}
+
+async function extractTab(tab, cache, updates, timeoutMs) {
+    const fallback = describeFromUrl(tab);
+
+    if (!isScriptable(tab.url)) {
+        return { content: fallback, source: 'restricted' };
+    }
+
+    const cached = cache[tab.url];
+    if (tab.discarded || tab.status === 'unloaded') {
+        return cached
+            ? { content: cached.content, source: 'cached', lang: cached.lang, description: cached.description }
+            : { content: fallback, source: 'discarded' };
+    }
+
+    try {
+        const injection = await withTimeout(
+            chrome.scripting.executeScript({ target: { tabId: tab.id }, func: extractPageContent }),
+            timeoutMs
+        );
+
+        const r = injection?.[0]?.result;
+        if (!r) return { content: fallback, source: 'failed' };
+
+        const content = [
+            r.title,
+            r.description,
+            r.keywords,
+            r.h1,
+            r.h2,
+            r.firstParagraph,
+            r.pathHint
+        ].filter(Boolean).join(' ');
+
+        if (!tab.incognito) {
+            updates[tab.url] = { content, lang: r.lang, description: r.description, at: Date.now() };
+        }
+        return { content, source: 'live', lang: r.lang, description: r.description };
+    } catch (e) {
+        if (e instanceof ExtractionTimeoutError) {
+            return { content: cached ? cached.content : fallback, source: 'timeout', lang: cached?.lang, description: cached?.description };
+        }
+        return { content: fallback, source: 'failed' };
+    }
+}
+
+/**
+ * Title plus the readable parts of the URL
+ */
+function describeFromUrl(tab) {
+    try {
+        const url = new URL(tab.url);
+        const pathHint = url.pathname.replace(/[\/\-_\.]/g, ' ').trim();
+        return [tab.title, url.hostname.replace(/^www\./, ''), pathHint].filter(Boolean).join(' ');
+    } catch {
+        return tab.title || '';
+    }
+}
+
+class ExtractionTimeoutError extends Error {
+    constructor(ms) {
+        super(`Extraction timed out after ${ms}ms`);
+        this.name = 'ExtractionTimeoutError';
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new ExtractionTimeoutError(ms)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function loadContentCache() {
+    const stored = await chrome.storage.local.get(CONTENT_CACHE_KEY);
+    return stored[CONTENT_CACHE_KEY] || {};
+}
+
+/**
+ * Merge newly extracted pages into the stored cache
+ * Queued behind earlier writes, so concurrent extractions don't drop each other's pages.
+ */
+function updateContentCache(updates) {
+    if (Object.keys(updates).length === 0) return cacheWrites;
+
+    const write = cacheWrites.then(async () => {
+        const cache = await loadContentCache();
+        await saveContentCache({ ...cache, ...updates });
+    });
+    cacheWrites = write.catch(() => {}); // A failed write doesn't block later ones
+    return write;
+}
+
+/**
+ * Persist the cache, keeping only the most recently extracted pages
+ */
+async function saveContentCache(cache) {
+    const entries = Object.entries(cache);
+    if (entries.length > MAX_CACHED_PAGES) {
+        entries.sort((a, b) => b[1].at - a[1].at);
+        cache = Object.fromEntries(entries.slice(0, MAX_CACHED_PAGES));
+    }
+    await chrome.storage.local.set({ [CONTENT_CACHE_KEY]: cache });
+}
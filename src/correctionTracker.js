@@ -0,0 +1,194 @@
+/**
+ * Grooopy Correction Tracker
+ * Watches the user rearrange what Grooopy grouped and records it as
+ * corrections (see corrections.js): a tab dragged out of a group cannot-links
+ * it to the tabs it leaves, a tab dragged into a group must-links it to its
+ * new neighbors, and renaming a group confirms it and names it.
+ *
+ * The groups each grouping run leaves behind are snapshotted in session
+ * storage (see snapshotGroups); changes are measured against that snapshot.
+ * Groups named by a rule are left out: rules already decide those tabs.
+ */
+
+import { loadSettings } from './settings.js';
+import { loadRules } from './rules.js';
+import { tabKey, recordLinks, recordRename } from './corrections.js';
+
+const SNAPSHOT_KEY = 'groupSnapshot';
+
+// Grooopy's own changes keep firing events for a moment after it finishes
+const SETTLE_MS = 1500;
+
+// Links recorded per move: enough to place the tab, without flooding storage
+const MAX_LINKS_PER_MOVE = 8;
+
+/**
+ * Record the groups in some windows as Grooopy left them
+ * Replaces whatever was recorded for those windows before.
+ */
+export async function snapshotGroups(windowIds) {
+    const snapshot = await loadSnapshot();
+    const windows = new Set(windowIds);
+
+    const dropped = new Set(Object.keys(snapshot.groups)
+        .filter(groupId => windows.has(snapshot.groups[groupId].windowId)));
+    dropped.forEach(groupId => delete snapshot.groups[groupId]);
+    for (const [tabId, groupId] of Object.entries(snapshot.members)) {
+        if (dropped.has(String(groupId))) delete snapshot.members[tabId];
+    }
+
+    for (const windowId of windowIds) {
+        try {
+            const groups = await chrome.tabGroups.query({ windowId });
+            const tabs = await chrome.tabs.query({ windowId });
+            groups.forEach(group => {
+                snapshot.groups[group.id] = { title: group.title || '', windowId };
+            });
+            tabs.filter(t => t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE)
+                .forEach(t => { snapshot.members[t.id] = t.groupId; });
+        } catch (e) {
+            console.warn("[Grooopy] Could not snapshot groups of window:", windowId, e);
+        }
+    }
+
+    await saveSnapshot(snapshot);
+}
+
+async function loadSnapshot() {
+    const stored = await chrome.storage.session.get(SNAPSHOT_KEY);
+    return { groups: {}, members: {}, ...(stored[SNAPSHOT_KEY] || {}) };
+}
+
+async function saveSnapshot(snapshot) {
+    await chrome.storage.session.set({ [SNAPSHOT_KEY]: snapshot });
+}
+
+export class CorrectionTracker {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.queue = Promise.resolve(); // Events are handled one at a time
+    }
+
+    /**
+     * Register tab and group listeners (must run synchronously at service worker startup)
+     */
+    start() {
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if ('groupId' in changeInfo) this.enqueue(() => this.onTabRegrouped(tab));
+        });
+
+        // Some drags only report the move; onTabRegrouped ignores tabs that kept their group
+        chrome.tabs.onMoved.addListener((tabId) => {
+            this.enqueue(async () => this.onTabRegrouped(await chrome.tabs.get(tabId)));
+        });
+
+        chrome.tabGroups.onUpdated.addListener((group) => {
+            this.enqueue(() => this.onGroupUpdated(group));
+        });
+
+        chrome.tabGroups.onRemoved.addListener((group) => {
+            this.enqueue(() => this.forgetGroup(group.id));
+        });
+    }
+
+    enqueue(handler) {
+        this.queue = this.queue.then(handler).catch(e => {
+            console.warn("[Grooopy] Could not record correction:", e);
+        });
+    }
+
+    /**
+     * Whether a change came from the user rather than a grouping run
+     */
+    isUserChange() {
+        return !this.tabManager.isGrouping && Date.now() - this.tabManager.lastChangeAt > SETTLE_MS;
+    }
+
+    async isLearning() {
+        return (await loadSettings()).learnFromCorrections;
+    }
+
+    async ruleGroupNames() {
+        const rules = await loadRules();
+        return new Set(rules
+            .filter(rule => rule.enabled && rule.action === 'group')
+            .map(rule => rule.groupName.toLowerCase()));
+    }
+
+    async onTabRegrouped(tab) {
+        if (!this.isUserChange() || !(await this.isLearning())) return;
+
+        const snapshot = await loadSnapshot();
+        const previous = snapshot.members[tab.id];
+        const current = tab.groupId;
+        if (previous === current) return;
+
+        const NONE = chrome.tabGroups.TAB_GROUP_ID_NONE;
+        const left = previous !== undefined ? snapshot.groups[previous] : null;
+        const joined = current !== NONE ? snapshot.groups[current] : null;
+
+        // Only moves into or out of Grooopy's groups say something about its grouping
+        if (current === NONE) delete snapshot.members[tab.id];
+        else snapshot.members[tab.id] = current;
+        await saveSnapshot(snapshot);
+        if (!left && !joined) return;
+
+        const ruleNames = await this.ruleGroupNames();
+        const key = tabKey(tab.url);
+        const links = [];
+
+        if (left && !ruleNames.has(left.title.toLowerCase())) {
+            const stayed = await chrome.tabs.query({ groupId: previous }).catch(() => []);
+            stayed.slice(0, MAX_LINKS_PER_MOVE)
+                .forEach(other => links.push({ a: key, b: tabKey(other.url), link: 'cannot' }));
+        }
+
+        if (current !== NONE) {
+            const group = await chrome.tabGroups.get(current);
+            if (!ruleNames.has((group.title || '').toLowerCase())) {
+                const neighbors = (await chrome.tabs.query({ groupId: current })).filter(t => t.id !== tab.id);
+                neighbors.slice(0, MAX_LINKS_PER_MOVE)
+                    .forEach(other => links.push({ a: key, b: tabKey(other.url), link: 'must' }));
+            }
+        }
+
+        await recordLinks(links);
+        console.log(`[Grooopy] Learned from moving tab ${tab.id}: ${links.length} correction(s)`);
+    }
+
+    /**
+     * A renamed Grooopy group: its members belong together, under the new name
+     */
+    async onGroupUpdated(group) {
+        const snapshot = await loadSnapshot();
+        const known = snapshot.groups[group.id];
+        const title = group.title || '';
+        if (!known || known.title === title) return;
+
+        known.title = title;
+        await saveSnapshot(snapshot);
+        if (!title || !this.isUserChange() || !(await this.isLearning())) return;
+        if ((await this.ruleGroupNames()).has(title.toLowerCase())) return;
+
+        const keys = [...new Set((await chrome.tabs.query({ groupId: group.id })).map(t => tabKey(t.url)))];
+        if (keys.length === 0) return;
+
+        // A chain links every member without recording every pair
+        const links = keys.slice(1, MAX_LINKS_PER_MOVE + 1)
+            .map((key, i) => ({ a: keys[i], b: key, link: 'must' }));
+        await recordLinks(links);
+        await recordRename(keys, title);
+        console.log(`[Grooopy] Learned group name "${title}" for ${keys.length} page(s)`);
+    }
+
+    async forgetGroup(groupId) {
+        const snapshot = await loadSnapshot();
+        if (!snapshot.groups[groupId]) return;
+
+        delete snapshot.groups[groupId];
+        for (const [tabId, memberOf] of Object.entries(snapshot.members)) {
+            if (memberOf === groupId) delete snapshot.members[tabId];
+        }
+        await saveSnapshot(snapshot);
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Grooopy Corrections
+ * What the user taught Grooopy by rearranging its groups, kept in
+ * chrome.storage.local, and how the clustering engine learns from it.
+ *
+ * Pair shape (tabs are identified by URL, since tab ids don't survive a restart):
+ *   {
+ *     id: string,               // The two keys, sorted and joined
+ *     a: string, b: string,     // tabKey of each tab
+ *     link: 'must' | 'cannot',  // Belong together / were pulled apart
+ *     at: number,
+ *     signals: ?{ modelKey: string, semantic: number, domain: number, path: number }
+ *   }
+ *
+ * Signals are filled in by the engine the first time both tabs are open
+ * together in a run, so pairs keep informing calibration after the tabs close.
+ *
+ * Rename shape: { keys: string[], name: string, at: number }
+ */
+
+const STORAGE_KEY = 'corrections';
+const MAX_PAIRS = 400;
+const MAX_RENAMES = 30;
+
+// Calibration needs a few measured corrections before it moves anything
+const MIN_PAIRS_FOR_CALIBRATION = 4;
+// Corrections at which calibration moves values the full way
+const FULL_CONFIDENCE_PAIRS = 20;
+const MAX_THRESHOLD_SHIFT = 0.1;
+const MAX_WEIGHT_CHANGE = 0.5; // Boosts stay within 50%–150% of the user's value
+
+// Thresholds shifted together, so their relative order stays as configured
+const CALIBRATED_THRESHOLDS = [
+    'CONTENT_SIMILARITY_THRESHOLD',
+    'MERGE_SIMILARITY_THRESHOLD',
+    'SINGLETON_ABSORPTION_THRESHOLD',
+    'SINGLETON_CLUSTER_THRESHOLD'
+];
+
+/**
+ * Identity of a page for corrections: host, path and query, without the fragment
+ */
+export function tabKey(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.hostname}${parsed.pathname.replace(/\/$/, '')}${parsed.search}`;
+    } catch {
+        return url || '';
+    }
+}
+
+function pairId(a, b) {
+    return a < b ? `${a}\n${b}` : `${b}\n${a}`;
+}
+
+export async function loadCorrections() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return { pairs: [], renames: [], ...(stored[STORAGE_KEY] || {}) };
+}
+
+async function saveCorrections(corrections) {
+    await chrome.storage.local.set({
+        [STORAGE_KEY]: {
+            pairs: corrections.pairs.slice(-MAX_PAIRS),
+            renames: corrections.renames.slice(-MAX_RENAMES)
+        }
+    });
+}
+
+export async function clearCorrections() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+}
+
+/**
+ * Store must-link/cannot-link pairs
+ * A newer correction of the same two pages replaces the older one, so the
+ * user changing their mind wins.
+ *
+ * @param {{a: string, b: string, link: 'must'|'cannot'}[]} links - a and b are tabKeys
+ */
+export async function recordLinks(links) {
+    const fresh = links
+        .filter(({ a, b }) => a && b && a !== b)
+        .map(({ a, b, link }) => ({ id: pairId(a, b), a, b, link, at: Date.now(), signals: null }));
+    if (fresh.length === 0) return;
+
+    const corrections = await loadCorrections();
+    const replaced = new Set(fresh.map(pair => pair.id));
+    corrections.pairs = [...corrections.pairs.filter(pair => !replaced.has(pair.id)), ...fresh];
+    await saveCorrections(corrections);
+}
+
+/**
+ * Store the name the user gave a group of pages
+ */
+export async function recordRename(keys, name) {
+    const corrections = await loadCorrections();
+    const keySet = new Set(keys);
+    // An earlier rename of (mostly) the same pages is superseded
+    corrections.renames = corrections.renames.filter(rename =>
+        rename.keys.filter(key => keySet.has(key)).length * 2 <= rename.keys.length);
+    corrections.renames.push({ keys, name, at: Date.now() });
+    await saveCorrections(corrections);
+}
+
+/**
+ * Attach signals the engine measured to their pairs
+ *
+ * @param {{id: string, signals: Object}[]} measurements
+ */
+export async function storeSignals(measurements) {
+    if (!measurements || measurements.length === 0) return;
+
+    const byId = new Map(measurements.map(m => [m.id, m.signals]));
+    const corrections = await loadCorrections();
+    corrections.pairs = corrections.pairs.map(pair =>
+        byId.has(pair.id) ? { ...pair, signals: byId.get(pair.id) } : pair);
+    await saveCorrections(corrections);
+}
+
+/**
+ * Adjust thresholds and signal weights to agree with measured corrections
+ *
+ * Boosts: a signal that is present more in must-link pairs than in
+ * cannot-link pairs gains weight, and the other way round.
+ * Thresholds: moved toward the value that separates must-link from
+ * cannot-link pair scores with the fewest mistakes.
+ * Both moves grow with the number of corrections and are capped, so a few
+ * stray drags cannot wreck the user's settings.
+ *
+ * @param {Object} config - Validated config (see clusteringConfig.js)
+ * @param {Object[]} pairs - Pairs with signals measured by the current model
+ * @param {Object} schema - CONFIG_SCHEMA, for the allowed ranges
+ * @returns {{config: Object, changes: Object<string, {from: number, to: number}>}}
+ */
+export function calibrateConfig(config, pairs, schema) {
+    const measured = pairs.filter(pair => pair.signals);
+    if (measured.length < MIN_PAIRS_FOR_CALIBRATION) return { config, changes: {} };
+
+    const confidence = Math.min(1, measured.length / FULL_CONFIDENCE_PAIRS);
+    const next = { ...config };
+
+    const weightFactor = (signal) => {
+        let must = 0, cannot = 0;
+        for (const { link, signals } of measured) {
+            if (link === 'must') must += signals[signal];
+            else cannot += signals[signal];
+        }
+        if (must + cannot === 0) return 1;
+        return 1 + MAX_WEIGHT_CHANGE * confidence * (must - cannot) / (must + cannot);
+    };
+    next.DOMAIN_AFFINITY_BOOST = config.DOMAIN_AFFINITY_BOOST * weightFactor('domain');
+    next.URL_PATH_BOOST = config.URL_PATH_BOOST * weightFactor('path');
+
+    const scored = measured.map(({ link, signals }) => ({
+        link,
+        score: signals.semantic + signals.domain * next.DOMAIN_AFFINITY_BOOST + signals.path * next.URL_PATH_BOOST
+    }));
+    const target = separatingThreshold(scored, config.CONTENT_SIMILARITY_THRESHOLD);
+    const shift = Math.max(-MAX_THRESHOLD_SHIFT, Math.min(MAX_THRESHOLD_SHIFT,
+        (target - config.CONTENT_SIMILARITY_THRESHOLD) * confidence));
+    for (const key of CALIBRATED_THRESHOLDS) {
+        next[key] = config[key] + shift;
+    }
+
+    const changes = {};
+    for (const key of ['DOMAIN_AFFINITY_BOOST', 'URL_PATH_BOOST', ...CALIBRATED_THRESHOLDS]) {
+        next[key] = Math.round(Math.max(schema[key].min, Math.min(schema[key].max, next[key])) * 1000) / 1000;
+        if (next[key] !== config[key]) changes[key] = { from: config[key], to: next[key] };
+    }
+
+    return { config: next, changes };
+}
+
+/**
+ * Threshold with the fewest must-link pairs below it and cannot-link pairs at
+ * or above it; of equally good ones, the closest to the current value
+ */
+function separatingThreshold(scored, current) {
+    const scores = [...new Set(scored.map(s => s.score))].sort((a, b) => a - b);
+    const candidates = [current, scores[0] - 0.01, scores[scores.length - 1] + 0.01];
+    for (let i = 1; i < scores.length; i++) {
+        candidates.push((scores[i - 1] + scores[i]) / 2);
+    }
+
+    let best = current, bestErrors = Infinity;
+    for (const threshold of candidates) {
+        const errors = scored.filter(({ link, score }) =>
+            link === 'must' ? score < threshold : score >= threshold).length;
+        if (errors < bestErrors ||
+            (errors === bestErrors && Math.abs(threshold - current) < Math.abs(best - current))) {
+            best = threshold;
+            bestErrors = errors;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,84 @@
+/**
+ * Grooopy Duplicates
+ * Tabs showing the same page: the same URL once tracking parameters and the
+ * fragment are dropped. Near-duplicates (different URLs, near-identical
+ * content) need embeddings and are found by the engine (see
+ * ClusteringEngine.findDuplicates).
+ *
+ * Duplicate set shape:
+ *   {
+ *     tabIds: number[],
+ *     kind: 'url' | 'content',  // Same canonical URL / similar content
+ *     similarity: number        // Lowest content similarity in the set (1 for 'url')
+ *   }
+ */
+
+// Which tab of a set stays open (the others are closed): popup button and setting label
+export const KEEP_MODES = {
+    first: { action: 'Close extras', keeps: 'The leftmost tab' },
+    newest: { action: 'Keep newest', keeps: 'The newest tab' },
+    recent: { action: 'Keep most recently used', keeps: 'The most recently used tab' }
+};
+
+export const DEFAULT_KEEP = 'recent';
+
+// Query parameters that only say how the user got to a page
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', 'igshid',
+    '_ga', '_gl', 'ref_src', 'ref_url', 'si', 'spm'
+]);
+
+/**
+ * URL with tracking parameters, the fragment and a trailing slash removed
+ * (the port stays: two dev servers on one host are different pages),
+ * or null for pages that can't be told apart this way (e.g. new tab pages)
+ */
+export function canonicalUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name]) => !name.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(name.toLowerCase()))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+
+    return `${parsed.host.replace(/^www\./, '')}${parsed.pathname.replace(/\/$/, '')}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Sets of tabs with the same canonical URL
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {chrome.tabs.Tab[][]} Sets of two or more tabs, in tab order
+ */
+export function findUrlDuplicates(tabs) {
+    const byUrl = new Map();
+    for (const tab of tabs) {
+        const key = canonicalUrl(tab.url);
+        if (!key) continue;
+        if (!byUrl.has(key)) byUrl.set(key, []);
+        byUrl.get(key).push(tab);
+    }
+    return [...byUrl.values()].filter(set => set.length > 1);
+}
+
+/**
+ * The tab of a duplicate set that stays open
+ * Tab ids grow as tabs are created, so the highest id is the newest tab.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {string} keep - Id from KEEP_MODES
+ */
+export function pickKeeper(tabs, keep = DEFAULT_KEEP) {
+    const by = {
+        first: (a, b) => a.windowId - b.windowId || a.index - b.index,
+        newest: (a, b) => b.id - a.id,
+        recent: (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
+    };
+    return [...tabs].sort(by[keep] || by[DEFAULT_KEEP])[0];
+}
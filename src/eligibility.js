@@ -0,0 +1,52 @@
+/**
+ * Grooopy Tab Eligibility
+ * Which tabs a grouping run may touch. Skipped tabs are neither clustered nor
+ * moved, and show up with their reason in the popup's run report.
+ */
+
+import { matchesUrlGlob } from './rules.js';
+
+// Exclusions the user can switch on and off, with the reason shown for a skipped tab
+export const EXCLUSIONS = {
+    pinned: { label: 'Pinned tabs', reason: 'Pinned' },
+    audible: { label: 'Tabs playing audio', reason: 'Playing audio' },
+    active: { label: 'The tab I\'m looking at', reason: 'Active tab' },
+    incognito: { label: 'Incognito tabs', reason: 'Incognito' },
+    internal: { label: 'Browser and extension pages', reason: 'Browser or extension page' }
+};
+
+export const DEFAULT_EXCLUSIONS = {
+    pinned: true,
+    audible: true,
+    active: false,
+    incognito: false,
+    internal: true
+};
+
+const INTERNAL_URL = /^(chrome|chrome-extension|chrome-search|chrome-untrusted|devtools|edge|brave|about|view-source):/i;
+
+/**
+ * Why a tab is left out of grouping, or null if it may be grouped
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object<string, boolean>} exclusions - Switched-on exclusions (see EXCLUSIONS)
+ * @param {string[]} patterns - URL globs of pages never to group
+ * @returns {?string}
+ */
+export function skipReason(tab, exclusions, patterns = []) {
+    const url = tab.url || tab.pendingUrl || '';
+    const applies = {
+        pinned: tab.pinned,
+        audible: tab.audible,
+        active: tab.active,
+        incognito: tab.incognito,
+        internal: INTERNAL_URL.test(url)
+    };
+
+    for (const [id, { reason }] of Object.entries(EXCLUSIONS)) {
+        if (exclusions[id] && applies[id]) return reason;
+    }
+
+    const pattern = patterns.find(glob => glob && matchesUrlGlob(url, glob));
+    return pattern ? `Matches "${pattern}"` : null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Grooopy Embedding Cache
+ * Persists embedding vectors in IndexedDB so unchanged pages skip the model.
+ *
+ * Entries are keyed by model name + SHA-256 of the embedded text, so a page
+ * is re-embedded only when its extracted content (or the model) changes.
+ * Least recently used entries are evicted once the cache exceeds its cap.
+ */
+
+const DB_NAME = 'grooopy-embeddings';
+const DB_VERSION = 1;
+const STORE = 'embeddings';
+const EVICTION_INTERVAL = 50; // Writes between eviction sweeps
+
+export class EmbeddingCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 5000;
+        this.dbPromise = null;
+        this.writesSinceEviction = 0;
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                    store.createIndex('lastUsed', 'lastUsed');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Cache key for a piece of text embedded with a given model
+     */
+    async keyFor(modelName, text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        return `${modelName}:${hex}`;
+    }
+
+    /**
+     * Look up a vector, refreshing its LRU timestamp on hit
+     * @returns {Promise<Float32Array|null>}
+     */
+    async get(key) {
+        try {
+            const db = await this.open();
+            const entry = await new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, 'readwrite');
+                const store = tx.objectStore(STORE);
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const found = request.result;
+                    if (found) {
+                        found.lastUsed = Date.now();
+                        store.put(found);
+                    }
+                    resolve(found);
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            if (entry) {
+                this.stats.hits++;
+                return entry.vector;
+            }
+        } catch (e) {
+            console.warn('[Grooopy] Embedding cache read failed:', e);
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    async set(key, vector) {
+        try {
+            const db = await this.open();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, 'readwrite');
+                tx.objectStore(STORE).put({ key, vector: Float32Array.from(vector), lastUsed: Date.now() });
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+
+            if (++this.writesSinceEviction >= EVICTION_INTERVAL) {
+                this.writesSinceEviction = 0;
+                await this.evict();
+            }
+        } catch (e) {
+            console.warn('[Grooopy] Embedding cache write failed:', e);
+        }
+    }
+
+    /**
+     * Delete least recently used entries beyond the size cap
+     */
+    async evict() {
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            const countRequest = store.count();
+
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.maxEntries;
+                if (excess <= 0) return;
+
+                store.index('lastUsed').openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
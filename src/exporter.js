@@ -0,0 +1,133 @@
+/**
+ * Grooopy Export
+ * Turns a set of groups into something to share: Markdown, a Netscape
+ * bookmark file any browser can import, JSON, or folders in the browser's
+ * own bookmarks.
+ *
+ * Export group shape:
+ *   {
+ *     name: string, color: string,
+ *     tabs: { title: string, url: string, description: string }[]
+ *   }
+ */
+
+// Text formats: popup label, file extension and MIME type of the download
+export const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' },
+    html: { label: 'Bookmarks HTML', extension: 'html', mime: 'text/html' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' }
+};
+
+export const EXPORT_SOURCES = {
+    current: 'The groups in this window',
+    computed: 'A fresh grouping (tabs stay put)'
+};
+
+/**
+ * Render groups in one of EXPORT_FORMATS
+ *
+ * @param {Object[]} groups - Export groups (see above)
+ * @param {string} format - Id from EXPORT_FORMATS
+ * @param {Object} [options] - { descriptions: include page descriptions, exportedAt }
+ * @returns {string}
+ */
+export function formatExport(groups, format, options = {}) {
+    const { descriptions = true, exportedAt = Date.now() } = options;
+    const formatters = { markdown: toMarkdown, html: toBookmarksHtml, json: toJson };
+    if (!formatters[format]) throw new Error(`Unknown export format "${format}"`);
+    return formatters[format](groups, descriptions, exportedAt);
+}
+
+/**
+ * File name for a download, e.g. grooopy-groups-2026-10-18.md
+ */
+export function exportFileName(format, exportedAt = Date.now()) {
+    const day = new Date(exportedAt).toISOString().slice(0, 10);
+    return `grooopy-groups-${day}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Write groups into the browser's bookmarks: one folder for the export with a
+ * sub-folder per group (under "Other bookmarks")
+ *
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode>} The export's folder
+ */
+export async function saveToBookmarks(groups, title) {
+    const root = await chrome.bookmarks.create({ title });
+    for (const group of groups) {
+        const folder = await chrome.bookmarks.create({ parentId: root.id, title: groupTitle(group) });
+        for (const tab of group.tabs) {
+            await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+        }
+    }
+    return root;
+}
+
+function toMarkdown(groups, descriptions) {
+    return groups.map(group => {
+        const links = group.tabs.map(tab => {
+            const link = `- [${escapeMarkdown(tab.title || tab.url)}](${tab.url.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+            return descriptions && tab.description ? `${link} — ${oneLine(tab.description)}` : link;
+        });
+        return [`## ${groupTitle(group)}`, '', ...links].join('\n');
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * The Netscape bookmark file format: the de facto interchange format every
+ * browser imports (one <H3> folder per group)
+ */
+function toBookmarksHtml(groups, descriptions, exportedAt) {
+    const addDate = Math.floor(exportedAt / 1000);
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+    for (const group of groups) {
+        lines.push(`    <DT><H3 ADD_DATE="${addDate}">${escapeHtml(groupTitle(group))}</H3>`, '    <DL><p>');
+        for (const tab of group.tabs) {
+            lines.push(`        <DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`);
+            if (descriptions && tab.description) lines.push(`        <DD>${escapeHtml(oneLine(tab.description))}`);
+        }
+        lines.push('    </DL><p>');
+    }
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+}
+
+function toJson(groups, descriptions, exportedAt) {
+    return JSON.stringify({
+        exportedAt: new Date(exportedAt).toISOString(),
+        groups: groups.map(group => ({
+            name: group.name,
+            color: group.color,
+            tabs: group.tabs.map(tab => ({
+                title: tab.title,
+                url: tab.url,
+                ...(descriptions && tab.description ? { description: tab.description } : {})
+            }))
+        }))
+    }, null, 2);
+}
+
+function groupTitle(group) {
+    return group.name || 'Untitled';
+}
+
+function oneLine(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function escapeMarkdown(text) {
+    return oneLine(text).replace(/([\\[\]])/g, '\\$1');
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
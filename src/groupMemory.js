@@ -0,0 +1,79 @@
+/**
+ * Grooopy Group Memory
+ * Remembers the centroid, name and color of past groups in IndexedDB, so a
+ * group that comes back on a later run keeps the name and color it had.
+ *
+ * Centroids only compare within one embedding model, so each model has its
+ * own list. Least recently seen groups drop off once a list exceeds its cap.
+ *
+ * Entry shape: { centroid: Float32Array, name: string, color: string, lastSeen: number }
+ */
+
+const DB_NAME = 'grooopy-groups';
+const DB_VERSION = 1;
+const STORE = 'groups';
+
+export class GroupMemory {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 60;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'modelKey' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Remembered groups for a model, most recently seen first
+     * @returns {Promise<Object[]>}
+     */
+    async load(modelKey) {
+        try {
+            const db = await this.open();
+            const record = await new Promise((resolve, reject) => {
+                const request = db.transaction(STORE).objectStore(STORE).get(modelKey);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            return record ? record.entries : [];
+        } catch (e) {
+            console.warn('[Grooopy] Group memory read failed:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Replace a model's remembered groups, keeping the most recently seen
+     */
+    async save(modelKey, entries) {
+        const kept = [...entries]
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .slice(0, this.maxEntries)
+            .map(entry => ({ ...entry, centroid: Float32Array.from(entry.centroid) }));
+
+        try {
+            const db = await this.open();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, 'readwrite');
+                tx.objectStore(STORE).put({ modelKey, entries: kept });
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (e) {
+            console.warn('[Grooopy] Group memory write failed:', e);
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Grooopy Language Utilities
+ * Per-tab language detection, Unicode-aware word segmentation and stop words
+ * for cluster naming.
+ *
+ * Detection is deliberately cheap: the writing system decides for non-Latin
+ * scripts, stop-word hits decide between Latin-script languages, and the
+ * page's declared <html lang> breaks ties. Anything unrecognized is 'en'.
+ */
+
+const STOP_WORD_LISTS = {
+    en: ['the', 'and', 'is', 'in', 'at', 'of', 'for', 'to', 'with', 'on', 'a', 'an', 'this', 'that',
+        'your', 'you', 'are', 'was', 'were', 'been', 'have', 'has', 'had', 'will', 'would', 'could',
+        'should', 'may', 'might', 'how', 'what', 'from', 'by', 'not', 'but', 'all', 'can', 'our'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'im', 'in', 'den', 'von', 'zu', 'mit', 'sich', 'des', 'auf',
+        'für', 'nicht', 'ein', 'eine', 'einer', 'eines', 'dem', 'als', 'auch', 'es', 'an', 'wird', 'aus',
+        'er', 'sie', 'hat', 'dass', 'bei', 'oder', 'um', 'nach', 'wie', 'über', 'ihre', 'ihr', 'sind',
+        'zum', 'zur', 'noch', 'wir', 'mehr', 'kann', 'nur', 'was', 'alle', 'neue', 'seite'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'est', 'en', 'un', 'une', 'pour', 'dans', 'que',
+        'qui', 'sur', 'par', 'pas', 'avec', 'au', 'aux', 'ce', 'ces', 'son', 'sa', 'ses', 'plus', 'ou',
+        'vous', 'nous', 'il', 'elle', 'sont', 'comme', 'mais', 'leur', 'tout', 'être', 'avoir'],
+    es: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'en', 'un', 'una', 'que', 'es', 'por', 'para',
+        'con', 'no', 'se', 'su', 'sus', 'al', 'lo', 'como', 'más', 'pero', 'sobre', 'este', 'esta',
+        'entre', 'cuando', 'muy', 'sin', 'también', 'ya', 'todo', 'son', 'qué', 'cómo'],
+    it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'del', 'della', 'dei', 'delle', 'e', 'è', 'in', 'un',
+        'una', 'per', 'con', 'che', 'non', 'su', 'da', 'al', 'alla', 'come', 'più', 'sono', 'anche',
+        'questo', 'questa', 'nel', 'nella', 'tra', 'ma', 'se'],
+    pt: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'e', 'é', 'em', 'no', 'na', 'um',
+        'uma', 'para', 'com', 'que', 'não', 'por', 'mais', 'como', 'ao', 'seu', 'sua', 'são', 'mas',
+        'também', 'pelo', 'pela', 'nos', 'nas', 'você'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'in', 'op', 'te', 'dat', 'die', 'voor', 'met', 'zijn',
+        'niet', 'aan', 'er', 'om', 'ook', 'als', 'bij', 'of', 'door', 'naar', 'uit', 'wat', 'hoe',
+        'nog', 'wordt', 'worden', 'je', 'jouw', 'uw', 'meer'],
+    ru: ['и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она',
+        'так', 'его', 'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее', 'от',
+        'из', 'для', 'это', 'или', 'при', 'о', 'об', 'как'],
+    ja: ['の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ', 'さ', 'ある', 'いる', 'も',
+        'する', 'から', 'な', 'こと', 'として', 'い', 'や', 'など', 'ない', 'この', 'ため', 'その',
+        'よう', 'また', 'もの', 'という', 'あり', 'まで', 'られ', 'なる', 'へ', 'か', 'だ', 'これ',
+        'による', 'について', 'できる', 'それ', 'ので', 'ます', 'です', 'ください', 'ページ', 'サイト'],
+    zh: ['的', '了', '和', '是', '在', '我', '有', '不', '这', '也', '就', '都', '与', '及', '或',
+        '之', '中', '为', '上', '个', '们', '到', '说', '要', '会', '对', '以', '可以', '一个', '我们',
+        '什么', '如何', '网站', '首页'],
+    ko: ['이', '그', '저', '것', '수', '등', '및', '의', '를', '을', '에', '가', '는', '은', '와', '과',
+        '도', '로', '으로', '에서', '하는', '있는', '합니다', '있습니다', '대한']
+};
+
+export const STOP_WORDS = Object.fromEntries(
+    Object.entries(STOP_WORD_LISTS).map(([lang, words]) => [lang, new Set(words)])
+);
+
+/** Languages written without spaces between words */
+const UNSPACED_LANGUAGES = new Set(['ja', 'zh']);
+
+/** Writing systems that identify a language on their own */
+const SCRIPT_LANGUAGES = [
+    ['ko', /\p{Script=Hangul}/u],
+    ['ru', /\p{Script=Cyrillic}/u],
+    ['ar', /\p{Script=Arabic}/u],
+    ['he', /\p{Script=Hebrew}/u],
+    ['el', /\p{Script=Greek}/u],
+    ['th', /\p{Script=Thai}/u],
+    ['hi', /\p{Script=Devanagari}/u]
+];
+
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const HAN = /\p{Script=Han}/u;
+const LATIN = /\p{Script=Latin}/u;
+
+const segmenters = new Map();
+
+/**
+ * Primary subtag of a BCP 47 tag ('de-AT' → 'de'), or '' if absent
+ */
+export function normalizeLanguage(tag) {
+    return (tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Best guess at the language of a tab's text
+ *
+ * @param {string} text - Title and/or extracted page content
+ * @param {string} [declared] - The page's <html lang>, if known
+ * @returns {string} Primary language subtag, e.g. 'en', 'de', 'ja'
+ */
+export function detectLanguage(text, declared = '') {
+    const hint = normalizeLanguage(declared);
+    const sample = (text || '').slice(0, 2000);
+
+    // Count letters per writing system; ideographs carry a word's worth of meaning each
+    let latin = 0, han = 0, kana = 0;
+    const scripts = new Map();
+    for (const char of sample) {
+        if (LATIN.test(char)) latin++;
+        else if (KANA.test(char)) kana++;
+        else if (HAN.test(char)) han++;
+        else {
+            const match = SCRIPT_LANGUAGES.find(([, pattern]) => pattern.test(char));
+            if (match) scripts.set(match[0], (scripts.get(match[0]) || 0) + 1);
+        }
+    }
+
+    const [otherLang, otherCount] = [...scripts.entries()].sort((a, b) => b[1] - a[1])[0] || ['', 0];
+    const cjk = (han + kana) * 3;
+
+    if (cjk > latin && cjk >= otherCount) {
+        if (kana > 0) return 'ja';
+        return hint === 'ja' ? 'ja' : 'zh';
+    }
+    if (otherCount > latin) {
+        // Cyrillic and Arabic script cover several languages: trust a declared one
+        return hint && hint !== 'en' ? hint : otherLang;
+    }
+
+    // Latin script: count stop-word hits per language
+    const words = segmentWords(sample, hint || 'en');
+    let best = hint && STOP_WORDS[hint] ? hint : 'en';
+    let bestHits = 0;
+    for (const [lang, stopWords] of Object.entries(STOP_WORDS)) {
+        const hits = words.filter(w => stopWords.has(w)).length;
+        if (hits > bestHits || (hits === bestHits && hits > 0 && lang === hint)) {
+            best = lang;
+            bestHits = hits;
+        }
+    }
+
+    // A couple of shared short words are not evidence against the declared language
+    if (hint && bestHits < 2) return hint;
+    return best;
+}
+
+/**
+ * Split text into words, respecting scripts without spaces
+ * Words are lowercased unless keepCase is set.
+ */
+export function segmentWords(text, lang = 'en', keepCase = false) {
+    if (!text) return [];
+
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        if (!segmenters.has(lang)) {
+            let segmenter;
+            try {
+                segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+            } catch {
+                segmenter = new Intl.Segmenter('en', { granularity: 'word' });
+            }
+            segmenters.set(lang, segmenter);
+        }
+
+        const words = [];
+        for (const { segment, isWordLike } of segmenters.get(lang).segment(text)) {
+            if (isWordLike) words.push(keepCase ? segment : segment.toLowerCase());
+        }
+        return words;
+    }
+
+    // Fallback: runs of letters and digits in any script
+    return ((keepCase ? text : text.toLowerCase()).match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Whether a word is worth considering for a group name
+ * Ideographic words are meaningful from two characters, alphabetic ones from three.
+ */
+export function isContentWord(word, lang, extraStopWords = null) {
+    if (STOP_WORDS[lang]?.has(word) || extraStopWords?.has(word)) return false;
+
+    const ideographic = HAN.test(word) || KANA.test(word) || /\p{Script=Hangul}/u.test(word);
+    return word.length >= (ideographic ? 2 : 3);
+}
+
+/**
+ * Join words into a phrase the way the language writes them
+ */
+export function joinWords(words, lang) {
+    return words.join(UNSPACED_LANGUAGES.has(lang) ? '' : ' ');
+}
@@ -0,0 +1,191 @@
+/**
+ * Grooopy Layout History
+ * Snapshots of the tab layout (order, groups, titles, colors, collapsed state)
+ * of every window a grouping operation touches, taken before it runs so it
+ * can be undone in one step. Tabs the operation closed itself (duplicates) are
+ * listed in the snapshot's closedTabIds and reopened on undo.
+ */
+
+const HISTORY_KEY = 'layoutHistory';
+const MAX_HISTORY = 5;
+
+/**
+ * Capture the current layout of one or more windows
+ */
+export async function captureSnapshot(windowIds) {
+    return {
+        takenAt: Date.now(),
+        windows: await Promise.all(windowIds.map(captureWindowLayout))
+    };
+}
+
+async function captureWindowLayout(windowId) {
+    const tabs = await chrome.tabs.query({ windowId });
+    const groups = await chrome.tabGroups.query({ windowId });
+
+    return {
+        windowId,
+        tabs: tabs.map(t => ({ id: t.id, index: t.index, groupId: t.groupId, pinned: t.pinned, url: t.url || t.pendingUrl || '' })),
+        groups: groups.map(g => ({ id: g.id, title: g.title || '', color: g.color, collapsed: g.collapsed }))
+    };
+}
+
+/**
+ * Push a snapshot onto the history stack (oldest entries fall off)
+ * Identical consecutive snapshots are stored once.
+ */
+export async function pushSnapshot(snapshot) {
+    const history = await getHistory();
+    const top = history[history.length - 1];
+    if (top && sameLayout(top, snapshot)) return;
+
+    history.push(snapshot);
+    await chrome.storage.session.set({ [HISTORY_KEY]: history.slice(-MAX_HISTORY) });
+}
+
+/**
+ * The most recent snapshot, left on the stack (null if there is none)
+ */
+export async function peekSnapshot() {
+    const history = await getHistory();
+    return history[history.length - 1] || null;
+}
+
+/**
+ * Remove and return the most recent snapshot
+ */
+export async function popSnapshot() {
+    const history = await getHistory();
+    const snapshot = history.pop() || null;
+    await chrome.storage.session.set({ [HISTORY_KEY]: history });
+    return snapshot;
+}
+
+export async function getHistory() {
+    const stored = await chrome.storage.session.get(HISTORY_KEY);
+    return stored[HISTORY_KEY] || [];
+}
+
+/**
+ * Put every window in a snapshot back the way it was
+ *
+ * @returns {Promise<Map<number, number>>} Old group id → recreated group id
+ */
+export async function restoreSnapshot(snapshot) {
+    const groupIdMap = new Map();
+    const closedTabIds = new Set(snapshot.closedTabIds || []);
+    for (const layout of snapshot.windows) {
+        const restored = await restoreWindowLayout(layout, closedTabIds);
+        restored.forEach((newId, oldId) => groupIdMap.set(oldId, newId));
+    }
+    return groupIdMap;
+}
+
+/**
+ * Put a window back the way a layout describes it
+ * Tabs the user closed since the snapshot are skipped, tabs Grooopy closed are
+ * reopened; tabs opened since are left ungrouped after the restored ones. A
+ * window that was closed since (e.g. emptied by consolidation) is recreated.
+ */
+async function restoreWindowLayout(layout, closedTabIds) {
+    const currentTabs = await chrome.tabs.query({});
+    const alive = new Set(currentTabs.map(t => t.id));
+    let tabs = layout.tabs.filter(t => alive.has(t.id));
+    const reopen = layout.tabs.filter(t => !alive.has(t.id) && closedTabIds.has(t.id) && t.url);
+    if (tabs.length === 0 && reopen.length === 0) return new Map();
+
+    // Dissolve current groups of the affected tabs
+    const snapshotIds = new Set(tabs.map(t => t.id));
+    const grouped = currentTabs.filter(t =>
+        snapshotIds.has(t.id) && t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
+    if (grouped.length > 0) {
+        try {
+            await chrome.tabs.ungroup(grouped.map(t => t.id));
+        } catch (e) {
+            // One tab closed meanwhile fails the whole call: retry tab by tab
+            for (const tab of grouped) {
+                try {
+                    await chrome.tabs.ungroup(tab.id);
+                } catch (err) {
+                    console.warn('[Grooopy] Could not ungroup tab:', tab.id, err);
+                }
+            }
+        }
+    }
+
+    const { windowId, seededTabId } = await ensureWindow(layout, tabs, reopen);
+
+    // Reopened tabs take the place of the closed ones from here on
+    for (const tab of reopen) {
+        try {
+            const id = tab === reopen[0] && seededTabId !== undefined
+                ? seededTabId
+                : (await chrome.tabs.create({ windowId, url: tab.url, pinned: tab.pinned, active: false })).id;
+            tabs.push({ ...tab, id });
+        } catch (e) {
+            console.warn('[Grooopy] Could not reopen tab:', tab.url, e);
+        }
+    }
+    tabs = tabs.sort((a, b) => a.index - b.index);
+
+    // Restore order (pinned tabs were never moved by Grooopy)
+    const windowTabs = await chrome.tabs.query({ windowId });
+    const pinnedCount = windowTabs.filter(t => t.pinned).length;
+    const unpinned = tabs.filter(t => !t.pinned);
+    for (let i = 0; i < unpinned.length; i++) {
+        try {
+            await chrome.tabs.move(unpinned[i].id, { windowId, index: pinnedCount + i });
+        } catch (e) {
+            console.warn('[Grooopy] Could not move tab back:', unpinned[i].id, e);
+        }
+    }
+
+    // Recreate groups with their original look
+    const groupIdMap = new Map();
+    for (const group of layout.groups) {
+        const tabIds = tabs.filter(t => t.groupId === group.id).map(t => t.id);
+        if (tabIds.length === 0) continue;
+
+        try {
+            const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+            await chrome.tabGroups.update(groupId, {
+                title: group.title,
+                color: group.color,
+                collapsed: group.collapsed
+            });
+            groupIdMap.set(group.id, groupId);
+        } catch (e) {
+            console.warn('[Grooopy] Could not restore group:', group.title, e);
+        }
+    }
+
+    return groupIdMap;
+}
+
+/**
+ * The layout's window id, or a fresh window if it was closed: seeded with one
+ * of its tabs, or with the first tab to reopen when none is left
+ *
+ * @returns {Promise<{windowId: number, seededTabId?: number}>} seededTabId: the
+ *          tab opened for reopen[0]
+ */
+async function ensureWindow(layout, tabs, reopen) {
+    try {
+        await chrome.windows.get(layout.windowId);
+        return { windowId: layout.windowId };
+    } catch {
+        if (tabs.length === 0) {
+            const created = await chrome.windows.create({ url: reopen[0].url, focused: false });
+            return { windowId: created.id, seededTabId: created.tabs?.[0]?.id };
+        }
+        const created = await chrome.windows.create({
+            tabId: tabs.find(t => !t.pinned)?.id ?? tabs[0].id,
+            focused: false
+        });
+        return { windowId: created.id };
+    }
+}
+
+function sameLayout(a, b) {
+    return JSON.stringify(a.windows) === JSON.stringify(b.windows);
+}
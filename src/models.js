@@ -0,0 +1,62 @@
+/**
+ * Grooopy Embedding Models
+ * The sentence-embedding models the clustering engine can run.
+ *
+ * Kept apart from clustering.js so the options page can list them without
+ * bundling the model runtime.
+ *
+ * Model shape:
+ *   {
+ *     label: string,
+ *     repo: string,          // Hugging Face repo, or folder under models/ when bundled
+ *     quantized: boolean,    // 8-bit weights: smaller download, slightly less accurate
+ *     maxTokens: number,     // Input length the model was trained on
+ *     multilingual: boolean,
+ *     bundled: boolean       // Loaded from the extension package, never from the network
+ *   }
+ *
+ * The embedding dimension is not listed: the engine reads it from the model output.
+ */
+
+/** Folder inside the extension package holding bundled models (see models/README.md) */
+export const BUNDLED_MODELS_PATH = 'models/';
+
+export const MODELS = {
+    'minilm': {
+        label: 'MiniLM L6 (English, fast)',
+        repo: 'Xenova/all-MiniLM-L6-v2',
+        quantized: true, maxTokens: 256, multilingual: false, bundled: false
+    },
+    'minilm-full': {
+        label: 'MiniLM L6, full precision (English)',
+        repo: 'Xenova/all-MiniLM-L6-v2',
+        quantized: false, maxTokens: 256, multilingual: false, bundled: false
+    },
+    'multilingual-minilm': {
+        label: 'Multilingual MiniLM L12 (50+ languages)',
+        repo: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+        quantized: true, maxTokens: 128, multilingual: true, bundled: false
+    },
+    'bge-small': {
+        label: 'BGE small (English, more accurate)',
+        repo: 'Xenova/bge-small-en-v1.5',
+        quantized: true, maxTokens: 512, multilingual: false, bundled: false
+    },
+    'bundled-minilm': {
+        label: 'MiniLM L6, bundled with the extension (offline)',
+        repo: 'Xenova/all-MiniLM-L6-v2',
+        quantized: true, maxTokens: 256, multilingual: false, bundled: true
+    }
+};
+
+export const DEFAULT_MODEL_ID = 'minilm';
+
+/** Used instead of an English-only model when a window has tabs in other languages */
+export const MULTILINGUAL_MODEL_ID = 'multilingual-minilm';
+
+/**
+ * Registry entry for a model id (the default for unknown ids)
+ */
+export function getModel(id) {
+    return MODELS[id] || MODELS[DEFAULT_MODEL_ID];
+}
@@ -0,0 +1,254 @@
+/**
+ * Grooopy Group Naming
+ * Keyphrase extraction (cluster-vs-window TF-IDF over page content) and
+ * formatting of group names for the tab-group chip.
+ *
+ * Kept apart from clustering.js so the options page can preview names
+ * without bundling the model runtime.
+ */
+
+import { segmentWords, isContentWord, joinWords } from './language.js';
+
+export const NAMING_MODES = {
+    topic: 'Topic phrase',
+    domain: 'Dominant site',
+    emoji: 'Emoji + word',
+    template: 'Template'
+};
+
+export const DEFAULT_NAMING = {
+    mode: 'topic',
+    template: '{topic} ({count})',
+    maxLength: 18
+};
+
+/** Between a topic and its sub-topic in sub-group names ("React · Hooks") */
+export const SUBTOPIC_SEPARATOR = ' · ';
+
+// Site and URL noise; grammatical stop words come per language from language.js
+const NOISE_WORDS = new Set([
+    'http', 'https', 'com', 'www', 'video', 'watch', 'google', 'youtube', 'org', 'en',
+    'new', 'latest', 'home', 'page', 'site', 'web', 'online', 'free', 'best'
+]);
+
+// Site names in titles ("… - github.com") say nothing about the topic
+const HOSTNAME = /^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)+$/u;
+
+// Only the start of long pages: later text is mostly navigation and footers
+const MAX_WORDS_PER_DOCUMENT = 400;
+
+// Phrases say more than single words, so they need less evidence to win
+const BIGRAM_BOOST = 1.5;
+
+const TOPIC_EMOJIS = [
+    [/github|gitlab|code|dev|api|docs?|react|python|java|script|rust|npm|stack ?overflow/i, '💻'],
+    [/news|times|post|guardian|bbc|cnn|nachrichten|ニュース|新闻/i, '📰'],
+    [/shop|amazon|cart|price|buy|deal|ebay|store/i, '🛒'],
+    [/music|spotify|song|album|playlist|soundcloud/i, '🎵'],
+    [/movie|film|netflix|series|trailer|twitch|stream/i, '🎬'],
+    [/travel|flight|hotel|booking|airbnb|trip|reise/i, '✈️'],
+    [/recipe|food|cook|restaurant|rezept|レシピ/i, '🍳'],
+    [/bank|finance|stock|invest|crypto|tax|steuer|budget/i, '💰'],
+    [/mail|inbox|calendar|meet|slack|zoom|teams/i, '📬'],
+    [/twitter|reddit|facebook|instagram|linkedin|mastodon|social/i, '💬'],
+    [/learn|course|tutorial|university|wiki|paper|arxiv|research/i, '📚'],
+    [/design|figma|dribbble|color|font|icon/i, '🎨'],
+    [/health|fitness|medical|doctor/i, '🩺'],
+    [/game|gaming|steam|xbox|playstation|nintendo/i, '🎮']
+];
+
+/**
+ * Candidate terms (words and two-word phrases) in a document
+ *
+ * @returns {Map<string, {surface: string, words: number}>} Lowercase term → as written, word count
+ */
+export function extractTerms(text, lang = 'en') {
+    const terms = new Map();
+    const words = segmentWords(text, lang, true).slice(0, MAX_WORDS_PER_DOCUMENT);
+    let previous = null;
+
+    for (const surface of words) {
+        const word = surface.toLowerCase();
+        if (!isContentWord(word, lang, NOISE_WORDS) || HOSTNAME.test(word)) {
+            previous = null;
+            continue;
+        }
+
+        if (!terms.has(word)) terms.set(word, { surface, words: 1 });
+        if (previous && previous.word !== word) {
+            const bigram = joinWords([previous.word, word], lang);
+            if (!terms.has(bigram)) {
+                terms.set(bigram, { surface: joinWords([previous.surface, surface], lang), words: 2 });
+            }
+        }
+        previous = { word, surface };
+    }
+
+    return terms;
+}
+
+/**
+ * Document frequencies across every tab in the window
+ *
+ * @param {Map[]} documents - One extractTerms result per tab
+ */
+export function createTermIndex(documents) {
+    const df = new Map();
+    for (const terms of documents) {
+        for (const term of terms.keys()) {
+            df.set(term, (df.get(term) || 0) + 1);
+        }
+    }
+    return { size: documents.length, df };
+}
+
+/**
+ * Rank a cluster's terms by how typical they are for it and how rare in the window
+ *
+ * @param {Map[]} documents - extractTerms results of the cluster's tabs
+ * @param {{size: number, df: Map}} index - createTermIndex over the whole window
+ * @returns {{term: string, surface: string, words: number, score: number}[]} Best first
+ */
+export function rankKeyphrases(documents, index, limit = 6) {
+    const stats = new Map();
+
+    for (const terms of documents) {
+        for (const [term, { surface, words }] of terms) {
+            if (!stats.has(term)) stats.set(term, { coverage: 0, words, surfaces: new Map() });
+            const stat = stats.get(term);
+            stat.coverage++;
+            stat.surfaces.set(surface, (stat.surfaces.get(surface) || 0) + 1);
+        }
+    }
+
+    // A phrase from a single tab only names the group if nothing is shared
+    const shared = [...stats.values()].some(stat => stat.coverage > 1);
+
+    return [...stats.entries()]
+        .filter(([, stat]) => !shared || stat.coverage > 1)
+        .map(([term, stat]) => {
+            const idf = Math.log(1 + index.size / (index.df.get(term) || 1));
+            const boost = stat.words > 1 ? BIGRAM_BOOST : 1;
+            return {
+                term,
+                surface: mostCommon(stat.surfaces),
+                words: stat.words,
+                score: (stat.coverage / documents.length) * idf * boost
+            };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Most frequent key of a count map
+ */
+function mostCommon(counts) {
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Emoji for a topic, judged from its words and sites
+ */
+export function pickEmoji(text) {
+    return TOPIC_EMOJIS.find(([pattern]) => pattern.test(text))?.[1] || '📁';
+}
+
+/**
+ * Capitalize words written all-lowercase; brand casing like "GitHub" or "iOS" is kept
+ */
+export function displayCase(phrase) {
+    return phrase.split(' ')
+        .map(word => word === word.toLowerCase() ? word.charAt(0).toUpperCase() + word.slice(1) : word)
+        .join(' ');
+}
+
+/**
+ * Width of a name on the chip: wide (CJK, emoji) characters take two columns
+ */
+export function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Extended_Pictographic}]/u.test(char) ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * Shorten text to a display width, dropping whole words before cutting one
+ */
+export function fitText(text, maxWidth) {
+    if (displayWidth(text) <= maxWidth) return text;
+
+    const words = text.split(' ');
+    while (words.length > 1 && displayWidth(words.join(' ')) > maxWidth) {
+        words.pop();
+    }
+
+    const fitted = words.join(' ');
+    if (displayWidth(fitted) <= maxWidth) return fitted;
+
+    const chars = [...fitted];
+    while (chars.length > 1 && displayWidth(chars.join('') + '…') > maxWidth) {
+        chars.pop();
+    }
+    return chars.join('') + '…';
+}
+
+/**
+ * fitText for labels that may name a sub-topic: both halves stay visible,
+ * the parent topic giving way first
+ */
+function fitLabel(label, maxWidth) {
+    const [parent, sub] = label.split(SUBTOPIC_SEPARATOR);
+    if (sub === undefined || displayWidth(label) <= maxWidth) return fitText(label, maxWidth);
+
+    const separatorWidth = displayWidth(SUBTOPIC_SEPARATOR);
+    const parentBudget = Math.min(displayWidth(parent), Math.max(1, Math.floor((maxWidth - separatorWidth) / 2)));
+    const subPart = fitText(sub, Math.max(1, maxWidth - separatorWidth - parentBudget));
+    const parentPart = fitText(parent, Math.max(1, maxWidth - separatorWidth - displayWidth(subPart)));
+    return `${parentPart}${SUBTOPIC_SEPARATOR}${subPart}`;
+}
+
+/**
+ * Render a group name
+ *
+ * @param {string} label - The topic (or site, in domain mode), for sub-groups
+ *        prefixed with the parent topic and SUBTOPIC_SEPARATOR
+ * @param {{domain: string, count: number, emoji: string}} parts
+ * @param {{mode: string, template: string, maxLength: number}} naming
+ */
+export function formatName(label, parts, naming = DEFAULT_NAMING) {
+    const { mode, template, maxLength } = { ...DEFAULT_NAMING, ...naming };
+
+    if (mode === 'emoji') {
+        // A sub-group is told apart by its own topic; color and position show the parent
+        const word = label.split(SUBTOPIC_SEPARATOR).pop().split(' ')[0];
+        return `${parts.emoji} ${fitText(word, maxLength - displayWidth(parts.emoji) - 1)}`;
+    }
+
+    if (mode === 'template') {
+        const render = (topic) => template
+            .replace(/\{topic\}/g, topic)
+            .replace(/\{domain\}/g, parts.domain || topic)
+            .replace(/\{count\}/g, String(parts.count))
+            .replace(/\{emoji\}/g, parts.emoji);
+
+        // Only the topic shrinks, so counts and fixed text stay readable
+        const budget = Math.max(1, maxLength - displayWidth(render('')));
+        return render(fitLabel(label, budget)).trim();
+    }
+
+    return fitLabel(label, maxLength);
+}
+
+/**
+ * Append a number until a name is not taken (compared case-insensitively)
+ */
+export function uniqueName(name, takenNames) {
+    if (!takenNames.has(name.toLowerCase())) return name;
+
+    let n = 2;
+    while (takenNames.has(`${name} ${n}`.toLowerCase())) n++;
+    return `${name} ${n}`;
+}
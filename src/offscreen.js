@@ -1,22 +1,118 @@
 import { ClusteringEngine } from './clustering.js';
+import { EmbeddingCache } from './embeddingCache.js';
+import { GroupMemory } from './groupMemory.js';
+import { TabIndex } from './tabIndex.js';
 
-const engine = new ClusteringEngine();
+const index = new TabIndex();
+const engine = new ClusteringEngine({ cache: new EmbeddingCache(), memory: new GroupMemory(), index });
+
+// Requests share the engine and each sets its model and config, so they run
+// one at a time: an index update arriving mid-run would otherwise switch the
+// model or reset the run's calibrated config under it
+let engineQueue = Promise.resolve();
+
+function runExclusive(handler) {
+    const run = engineQueue.then(handler);
+    engineQueue = run.catch(() => {});
+    return run;
+}
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'CLUSTER_TABS') {
-        handleClustering(message.tabs, message.screenWidth, sendResponse);
+        runExclusive(() => handleClustering(message, sendResponse));
         return true; // Keep channel open for async response
     }
+    if (message.action === 'PLACE_TABS') {
+        runExclusive(() => handlePlacement(message, sendResponse));
+        return true;
+    }
+    if (message.action === 'DETECT_DUPLICATES') {
+        runExclusive(() => handleDuplicates(message, sendResponse));
+        return true;
+    }
+    if (message.action === 'INDEX_TABS') {
+        runExclusive(() => handleIndexing(message, sendResponse));
+        return true;
+    }
+    if (message.action === 'UNINDEX_TABS') {
+        index.remove(message.tabIds);
+        sendResponse({ size: index.size });
+    }
+    if (message.action === 'RANK_TABS') {
+        runExclusive(() => handleSearch(message, sendResponse));
+        return true;
+    }
 });
 
-async function handleClustering(tabs, screenWidth, sendResponse) {
+async function handleClustering({
+    tabs, screenWidth, existingGroups, extractions, rules, config, model, multilingualFallback, strategy, naming,
+    ordering, corrections
+}, sendResponse) {
     try {
+        // Settings travel with each request, so changes apply without reloading
+        engine.setModel(model, multilingualFallback);
+        engine.updateConfig(config);
+        engine.setNaming(naming);
+        engine.setOrdering(ordering);
+        engine.setStrategy(strategy);
         console.log("[Grooopy Offscreen] Clustering", tabs.length, "tabs, screen:", screenWidth);
-        const groups = await engine.clusterTabs(tabs, screenWidth || 1920);
+        const groups = await engine.clusterTabs(tabs, screenWidth || 1920, {
+            existingGroups, extractions, rules, corrections
+        });
         console.log("[Grooopy Offscreen] Result:", groups);
-        sendResponse({ groups });
+        sendResponse({ groups, correctionSignals: engine.correctionSignals });
     } catch (error) {
         console.error("[Grooopy Offscreen] Failed:", error);
         sendResponse({ error: error.message });
     }
 }
+
+async function handlePlacement({ tabs, existingGroups, candidateIds, similarityFloor, extractions, config, model, multilingualFallback }, sendResponse) {
+    try {
+        engine.setModel(model, multilingualFallback);
+        engine.updateConfig(config);
+        console.log("[Grooopy Offscreen] Placing", candidateIds.length, "tab(s) into", existingGroups.length, "group(s)");
+        const placements = await engine.placeTabs(tabs, existingGroups, candidateIds, similarityFloor, extractions);
+        sendResponse({ placements });
+    } catch (error) {
+        console.error("[Grooopy Offscreen] Placement failed:", error);
+        sendResponse({ error: error.message });
+    }
+}
+
+async function handleDuplicates({ tabs, extractions, config, model, multilingualFallback }, sendResponse) {
+    try {
+        engine.setModel(model, multilingualFallback);
+        engine.updateConfig(config);
+        console.log("[Grooopy Offscreen] Looking for duplicates among", tabs.length, "tabs");
+        const duplicates = await engine.findDuplicates(tabs, extractions);
+        sendResponse({ duplicates });
+    } catch (error) {
+        console.error("[Grooopy Offscreen] Duplicate search failed:", error);
+        sendResponse({ error: error.message });
+    }
+}
+
+async function handleIndexing({ tabs, extractions, config, model, multilingualFallback }, sendResponse) {
+    try {
+        engine.setModel(model, multilingualFallback);
+        engine.updateConfig(config);
+        await engine.indexTabs(tabs, extractions);
+        sendResponse({ size: index.size });
+    } catch (error) {
+        console.error("[Grooopy Offscreen] Indexing failed:", error);
+        sendResponse({ error: error.message });
+    }
+}
+
+async function handleSearch({ query, tabs, limit, extractions, config, model, multilingualFallback }, sendResponse) {
+    try {
+        engine.setModel(model, multilingualFallback);
+        engine.updateConfig(config);
+        const results = await engine.searchTabs(query, tabs, limit, extractions);
+        sendResponse({ results });
+    } catch (error) {
+        console.error("[Grooopy Offscreen] Search failed:", error);
+        sendResponse({ error: error.message });
+    }
+}
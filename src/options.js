@@ -0,0 +1,550 @@
+/**
+ * Grooopy Options Page
+ * Tune clustering and manage grouping rules (with JSON import/export)
+ */
+
+import {
+    loadRules, saveRules, createRule, validateRules,
+    MATCH_TYPES, RULE_ACTIONS, GROUP_COLORS
+} from './rules.js';
+import { CONFIG_SCHEMA, DEFAULT_CONFIG, PRESETS, presetConfig, matchPreset } from './clusteringConfig.js';
+import { loadSettings, saveSettings, loadClusteringConfig, saveClusteringConfig } from './settings.js';
+import { MODELS } from './models.js';
+import { NAMING_MODES, DEFAULT_NAMING, formatName, pickEmoji } from './naming.js';
+import { CLUSTERING_STRATEGIES } from './clusteringStrategies.js';
+import { GROUP_ORDERS, TAB_ORDERS } from './ordering.js';
+import { EXCLUSIONS, DEFAULT_EXCLUSIONS } from './eligibility.js';
+import { KEEP_MODES } from './duplicates.js';
+import { loadCorrections, clearCorrections } from './corrections.js';
+
+const modelSelect = document.getElementById('modelSelect');
+const modelStatus = document.getElementById('modelStatus');
+const multilingualToggle = document.getElementById('multilingualToggle');
+
+const namingMode = document.getElementById('namingMode');
+const maxNameLength = document.getElementById('maxNameLength');
+const nameTemplate = document.getElementById('nameTemplate');
+const templateField = document.getElementById('templateField');
+const namePreview = document.getElementById('namePreview');
+const namingStatus = document.getElementById('namingStatus');
+
+const groupOrderSelect = document.getElementById('groupOrderSelect');
+const tabOrderSelect = document.getElementById('tabOrderSelect');
+const orderStatus = document.getElementById('orderStatus');
+
+const exclusionList = document.getElementById('exclusionList');
+const excludedPatterns = document.getElementById('excludedPatterns');
+const exclusionStatus = document.getElementById('exclusionStatus');
+
+const dedupeToggle = document.getElementById('dedupeToggle');
+const dedupeKeepSelect = document.getElementById('dedupeKeepSelect');
+const dedupeStatus = document.getElementById('dedupeStatus');
+
+const staleAfterDays = document.getElementById('staleAfterDays');
+const staleStatus = document.getElementById('staleStatus');
+
+const strategySelect = document.getElementById('strategySelect');
+const presetSelect = document.getElementById('presetSelect');
+const configGrid = document.getElementById('configGrid');
+const configStatus = document.getElementById('configStatus');
+const learnToggle = document.getElementById('learnToggle');
+const collapseSubGroupsToggle = document.getElementById('collapseSubGroupsToggle');
+const correctionCount = document.getElementById('correctionCount');
+
+const rulesBody = document.getElementById('rulesBody');
+const rulesStatus = document.getElementById('rulesStatus');
+const importRulesFile = document.getElementById('importRulesFile');
+
+const MATCH_LABELS = { domain: 'Domain', url: 'URL glob', regex: 'URL regex', title: 'Title regex' };
+const ACTION_LABELS = { group: 'Put in group', exclude: 'Never group' };
+
+let rules = [];
+let config = { ...DEFAULT_CONFIG };
+
+/**
+ * Show a status message under a section
+ */
+function setStatus(element, message, type = 'info') {
+    element.className = `status ${type}`;
+    element.textContent = message;
+}
+
+function createSelect(options, labels, value, onChange) {
+    const select = document.createElement('select');
+    for (const option of options) {
+        const el = document.createElement('option');
+        el.value = option;
+        el.textContent = labels ? labels[option] : (option || '—');
+        select.appendChild(el);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+function createInput(value, placeholder, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.addEventListener('input', () => onInput(input.value));
+    return input;
+}
+
+function cell(...children) {
+    const td = document.createElement('td');
+    td.append(...children);
+    return td;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EMBEDDING MODEL
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderModels() {
+    for (const [id, model] of Object.entries(MODELS)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = model.label;
+        modelSelect.appendChild(option);
+    }
+}
+
+modelSelect.addEventListener('change', async () => {
+    const model = MODELS[modelSelect.value];
+    await saveSettings({ embeddingModel: modelSelect.value });
+    setStatus(modelStatus, model.bundled
+        ? '✅ Saved. Loads from the extension package, no network needed.'
+        : '✅ Saved. Downloads on the next grouping run if not cached yet.', 'success');
+});
+
+multilingualToggle.addEventListener('change', async () => {
+    await saveSettings({ multilingualFallback: multilingualToggle.checked });
+    setStatus(modelStatus, '✅ Saved', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GROUP NAMES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderNamingModes() {
+    for (const [mode, label] of Object.entries(NAMING_MODES)) {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = label;
+        namingMode.appendChild(option);
+    }
+}
+
+function readNaming() {
+    return {
+        mode: namingMode.value,
+        template: nameTemplate.value,
+        maxLength: Number(maxNameLength.value)
+    };
+}
+
+/**
+ * Show what a typical group would be called with the current inputs
+ */
+function updateNamePreview() {
+    const naming = readNaming();
+    templateField.hidden = naming.mode !== 'template';
+
+    const label = naming.mode === 'domain' ? 'Github' : 'React Hooks Tutorial';
+    namePreview.textContent = formatName(label, {
+        domain: 'Github',
+        count: 5,
+        emoji: pickEmoji('react hooks github')
+    }, naming);
+}
+
+[namingMode, maxNameLength, nameTemplate].forEach(input =>
+    input.addEventListener('input', updateNamePreview));
+
+document.getElementById('saveNamingBtn').addEventListener('click', async () => {
+    const naming = readNaming();
+    if (!Number.isInteger(naming.maxLength) || naming.maxLength < 6 || naming.maxLength > 40) {
+        setStatus(namingStatus, '❌ Maximum length must be a whole number between 6 and 40', 'error');
+        return;
+    }
+    if (naming.mode === 'template' && !naming.template.trim()) {
+        setStatus(namingStatus, '❌ Template cannot be empty', 'error');
+        return;
+    }
+
+    await saveSettings({
+        namingMode: naming.mode,
+        nameTemplate: naming.template || DEFAULT_NAMING.template,
+        maxNameLength: naming.maxLength
+    });
+    setStatus(namingStatus, '✅ Naming saved', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ORDER
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderOrders() {
+    for (const [select, orders] of [[groupOrderSelect, GROUP_ORDERS], [tabOrderSelect, TAB_ORDERS]]) {
+        for (const [order, label] of Object.entries(orders)) {
+            const option = document.createElement('option');
+            option.value = order;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+    }
+}
+
+groupOrderSelect.addEventListener('change', async () => {
+    await saveSettings({ groupOrder: groupOrderSelect.value });
+    setStatus(orderStatus, '✅ Saved', 'success');
+});
+
+tabOrderSelect.addEventListener('change', async () => {
+    await saveSettings({ tabOrder: tabOrderSelect.value });
+    setStatus(orderStatus, '✅ Saved', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SKIPPED TABS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderExclusions(exclusions) {
+    exclusionList.innerHTML = '';
+    for (const [id, { label }] of Object.entries(EXCLUSIONS)) {
+        const field = document.createElement('div');
+        field.className = 'field checkbox';
+
+        const labelEl = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.exclusion = id;
+        input.checked = !!exclusions[id];
+        labelEl.append(input, label);
+
+        field.appendChild(labelEl);
+        exclusionList.appendChild(field);
+    }
+}
+
+document.getElementById('saveExclusionsBtn').addEventListener('click', async () => {
+    const exclusions = {};
+    exclusionList.querySelectorAll('input[data-exclusion]').forEach(input => {
+        exclusions[input.dataset.exclusion] = input.checked;
+    });
+    const patterns = excludedPatterns.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+    await saveSettings({ exclusions, excludedPatterns: patterns });
+    setStatus(exclusionStatus, '✅ Skipped tabs saved', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUPLICATES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderKeepModes() {
+    for (const [keep, { keeps }] of Object.entries(KEEP_MODES)) {
+        const option = document.createElement('option');
+        option.value = keep;
+        option.textContent = keeps;
+        dedupeKeepSelect.appendChild(option);
+    }
+}
+
+dedupeToggle.addEventListener('change', async () => {
+    await saveSettings({ dedupeOnGroup: dedupeToggle.checked });
+    setStatus(dedupeStatus, '✅ Saved', 'success');
+});
+
+dedupeKeepSelect.addEventListener('change', async () => {
+    await saveSettings({ dedupeKeep: dedupeKeepSelect.value });
+    setStatus(dedupeStatus, '✅ Saved', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STALE TABS
+// ═══════════════════════════════════════════════════════════════════════════
+
+staleAfterDays.addEventListener('change', async () => {
+    const days = Number(staleAfterDays.value);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        setStatus(staleStatus, '❌ Must be a whole number of days between 1 and 365', 'error');
+        return;
+    }
+    await saveSettings({ staleAfterDays: days });
+    setStatus(staleStatus, '✅ Saved', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLUSTERING CONFIG
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Render one field per schema entry
+ */
+function renderConfig() {
+    configGrid.innerHTML = '';
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const field = document.createElement('div');
+        field.className = `field${spec.type === 'boolean' ? ' checkbox' : ''}`;
+
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.id = `config-${key}`;
+        label.htmlFor = input.id;
+
+        if (spec.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = config[key];
+            input.addEventListener('change', () => {
+                config[key] = input.checked;
+            });
+            label.append(input, spec.label);
+            field.appendChild(label);
+        } else {
+            input.type = 'number';
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.step || 1;
+            input.value = config[key];
+            input.addEventListener('input', () => {
+                config[key] = input.value === '' ? undefined : Number(input.value);
+                syncPreset();
+            });
+            label.textContent = spec.label;
+            field.append(label, input);
+        }
+
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+        hint.textContent = spec.type === 'boolean'
+            ? spec.hint
+            : `${spec.hint} (${spec.min}–${spec.max}, default ${spec.default})`;
+        field.appendChild(hint);
+
+        configGrid.appendChild(field);
+    }
+
+    syncPreset();
+}
+
+function renderStrategies() {
+    for (const [id, strategy] of Object.entries(CLUSTERING_STRATEGIES)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = strategy.label;
+        strategySelect.appendChild(option);
+    }
+}
+
+strategySelect.addEventListener('change', async () => {
+    await saveSettings({ clusteringStrategy: strategySelect.value });
+    setStatus(configStatus, '✅ Algorithm saved', 'success');
+});
+
+function renderPresets() {
+    for (const [name, preset] of Object.entries(PRESETS)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    }
+
+    const custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'Custom';
+    custom.disabled = true;
+    presetSelect.appendChild(custom);
+}
+
+/**
+ * Show which preset the current values match
+ */
+function syncPreset() {
+    presetSelect.value = matchPreset(config) || 'custom';
+}
+
+presetSelect.addEventListener('change', () => {
+    config = { ...presetConfig(presetSelect.value), DEBUG: config.DEBUG };
+    renderConfig();
+});
+
+document.getElementById('saveConfigBtn').addEventListener('click', async () => {
+    try {
+        config = await saveClusteringConfig(config);
+        renderConfig();
+        setStatus(configStatus, '✅ Clustering settings saved', 'success');
+    } catch (error) {
+        setStatus(configStatus, `❌ ${error.message}`, 'error');
+    }
+});
+
+document.getElementById('resetConfigBtn').addEventListener('click', () => {
+    config = { ...DEFAULT_CONFIG };
+    renderConfig();
+    setStatus(configStatus, 'Defaults restored. Save to apply.');
+});
+
+collapseSubGroupsToggle.addEventListener('change', async () => {
+    await saveSettings({ collapseSubGroups: collapseSubGroupsToggle.checked });
+    setStatus(configStatus, '✅ Saved', 'success');
+});
+
+learnToggle.addEventListener('change', async () => {
+    await saveSettings({ learnFromCorrections: learnToggle.checked });
+    setStatus(configStatus, '✅ Saved', 'success');
+});
+
+async function renderCorrectionCount() {
+    const { pairs, renames } = await loadCorrections();
+    const together = pairs.filter(pair => pair.link === 'must').length;
+    correctionCount.textContent = `${together} pair(s) kept together, ${pairs.length - together} kept apart, ` +
+        `${renames.length} group name(s) learned`;
+}
+
+document.getElementById('forgetCorrectionsBtn').addEventListener('click', async () => {
+    await clearCorrections();
+    await renderCorrectionCount();
+    setStatus(configStatus, '✅ Corrections forgotten', 'success');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RULES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Render one editable row per rule
+ */
+function renderRules() {
+    rulesBody.innerHTML = '';
+
+    rules.forEach((rule, index) => {
+        const row = document.createElement('tr');
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = rule.enabled;
+        enabled.addEventListener('change', () => { rule.enabled = enabled.checked; });
+
+        const groupName = createInput(rule.groupName, 'e.g. JIRA', value => { rule.groupName = value; });
+        const color = createSelect(['', ...GROUP_COLORS], null, rule.color, value => { rule.color = value; });
+        const syncActionFields = () => {
+            groupName.disabled = rule.action === 'exclude';
+            color.disabled = rule.action === 'exclude';
+        };
+        syncActionFields();
+
+        const up = document.createElement('button');
+        up.className = 'icon-btn';
+        up.textContent = '↑';
+        up.title = 'Move up (earlier rules win)';
+        up.disabled = index === 0;
+        up.addEventListener('click', () => {
+            [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+            renderRules();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'icon-btn';
+        remove.textContent = '✕';
+        remove.title = 'Delete rule';
+        remove.addEventListener('click', () => {
+            rules.splice(index, 1);
+            renderRules();
+        });
+
+        row.append(
+            cell(enabled),
+            cell(createSelect(MATCH_TYPES, MATCH_LABELS, rule.matchType, value => { rule.matchType = value; })),
+            cell(createInput(rule.pattern, 'e.g. atlassian.net', value => { rule.pattern = value; })),
+            cell(createSelect(RULE_ACTIONS, ACTION_LABELS, rule.action, value => {
+                rule.action = value;
+                syncActionFields();
+            })),
+            cell(groupName),
+            cell(color),
+            cell(up, remove)
+        );
+        rulesBody.appendChild(row);
+    });
+}
+
+document.getElementById('addRuleBtn').addEventListener('click', () => {
+    rules.push(createRule());
+    renderRules();
+});
+
+document.getElementById('saveRulesBtn').addEventListener('click', async () => {
+    try {
+        await saveRules(rules);
+        rules = await loadRules();
+        renderRules();
+        setStatus(rulesStatus, '✅ Rules saved', 'success');
+    } catch (error) {
+        setStatus(rulesStatus, `❌ ${error.message}`, 'error');
+    }
+});
+
+document.getElementById('exportRulesBtn').addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(rules, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'grooopy-rules.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('importRulesBtn').addEventListener('click', () => importRulesFile.click());
+
+importRulesFile.addEventListener('change', async () => {
+    const file = importRulesFile.files[0];
+    importRulesFile.value = '';
+    if (!file) return;
+
+    try {
+        rules = validateRules(JSON.parse(await file.text()));
+        renderRules();
+        setStatus(rulesStatus, `Imported ${rules.length} rule(s). Review them, then save.`);
+    } catch (error) {
+        setStatus(rulesStatus, `❌ Import failed: ${error.message}`, 'error');
+    }
+});
+
+renderModels();
+renderNamingModes();
+renderOrders();
+renderKeepModes();
+renderStrategies();
+renderPresets();
+renderCorrectionCount();
+
+loadSettings().then(settings => {
+    modelSelect.value = settings.embeddingModel;
+    multilingualToggle.checked = settings.multilingualFallback;
+    strategySelect.value = settings.clusteringStrategy;
+    groupOrderSelect.value = settings.groupOrder;
+    tabOrderSelect.value = settings.tabOrder;
+    renderExclusions({ ...DEFAULT_EXCLUSIONS, ...settings.exclusions });
+    excludedPatterns.value = settings.excludedPatterns.join('\n');
+    dedupeToggle.checked = settings.dedupeOnGroup;
+    dedupeKeepSelect.value = settings.dedupeKeep;
+    staleAfterDays.value = settings.staleAfterDays;
+    learnToggle.checked = settings.learnFromCorrections;
+    collapseSubGroupsToggle.checked = settings.collapseSubGroups;
+    namingMode.value = settings.namingMode;
+    nameTemplate.value = settings.nameTemplate;
+    maxNameLength.value = settings.maxNameLength;
+    updateNamePreview();
+});
+
+loadClusteringConfig().then(stored => {
+    config = stored;
+    renderConfig();
+});
+
+loadRules().then(stored => {
+    rules = stored;
+    renderRules();
+});
@@ -0,0 +1,59 @@
+/**
+ * Grooopy Ordering
+ * How groups are laid out in the tab strip and how tabs are sorted inside
+ * each group. The engine puts its results in this order (see
+ * ClusteringEngine.orderSlots); the tab manager then moves tabs to match.
+ *
+ * Kept apart from clustering.js so the options page can list the modes
+ * without bundling the model runtime.
+ */
+
+export const GROUP_ORDERS = {
+    none: 'Where Chrome puts them',
+    size: 'Largest first',
+    recent: 'Most recently used first',
+    semantic: 'Related groups side by side'
+};
+
+export const TAB_ORDERS = {
+    none: 'Where they were',
+    domain: 'By site',
+    title: 'By title',
+    chain: 'Related pages side by side'
+};
+
+// Opt-in: any other mode rearranges the whole tab strip on every run
+export const DEFAULT_ORDERING = {
+    groups: 'none',
+    tabs: 'none'
+};
+
+/**
+ * Nearest-neighbor chain: start at the least connected item (likely an end of
+ * the chain) and keep stepping to the most similar item not yet visited
+ *
+ * @param {Array} vectors
+ * @param {function(*, *): number} similarity
+ * @returns {number[]} Indices into vectors, in chain order
+ */
+export function chainOrder(vectors, similarity) {
+    const n = vectors.length;
+    if (n < 3) return vectors.map((_, i) => i);
+
+    const sims = vectors.map((a, i) => vectors.map((b, j) => i === j ? 0 : similarity(a, b)));
+    const totals = sims.map(row => row.reduce((sum, s) => sum + s, 0));
+
+    let current = totals.indexOf(Math.min(...totals));
+    const order = [current];
+    const visited = new Set(order);
+    while (order.length < n) {
+        let next = -1;
+        for (let j = 0; j < n; j++) {
+            if (!visited.has(j) && (next === -1 || sims[current][j] > sims[current][next])) next = j;
+        }
+        order.push(next);
+        visited.add(next);
+        current = next;
+    }
+    return order;
+}
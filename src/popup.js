@@ -3,18 +3,65 @@
  * Handles user interactions with the extension popup
  */
 
+import { loadSettings, saveSettings } from './settings.js';
+import { CLUSTERING_STRATEGIES } from './clusteringStrategies.js';
+import { KEEP_MODES } from './duplicates.js';
+import { formatAge } from './archive.js';
+import { EXPORT_FORMATS, EXPORT_SOURCES, formatExport, exportFileName } from './exporter.js';
+
 const groupBtn = document.getElementById('groupBtn');
 const ungroupBtn = document.getElementById('ungroupBtn');
+const undoBtn = document.getElementById('undoBtn');
+const scopeSelect = document.getElementById('scopeSelect');
+const strategySelect = document.getElementById('strategySelect');
+const incrementalToggle = document.getElementById('incrementalToggle');
+const autoGroupToggle = document.getElementById('autoGroupToggle');
+const groupList = document.getElementById('groupList');
+const previewBtn = document.getElementById('previewBtn');
+const previewList = document.getElementById('previewList');
+const applyBtn = document.getElementById('applyBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const findDuplicatesBtn = document.getElementById('findDuplicatesBtn');
+const duplicateList = document.getElementById('duplicateList');
+const duplicateActions = document.getElementById('duplicateActions');
+const staleBtn = document.getElementById('staleBtn');
+const ageList = document.getElementById('ageList');
+const archiveList = document.getElementById('archiveList');
+const archiveStaleBtn = document.getElementById('archiveStaleBtn');
+const closeStaleBtn = document.getElementById('closeStaleBtn');
+const workspacesBtn = document.getElementById('workspacesBtn');
+const workspaceNameInput = document.getElementById('workspaceNameInput');
+const saveWorkspaceBtn = document.getElementById('saveWorkspaceBtn');
+const workspaceList = document.getElementById('workspaceList');
+const importWorkspacesFile = document.getElementById('importWorkspacesFile');
+const exportSourceSelect = document.getElementById('exportSourceSelect');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const exportDescriptionsToggle = document.getElementById('exportDescriptionsToggle');
+const searchInput = document.getElementById('searchInput');
+const searchResultList = document.getElementById('searchResults');
 const status = document.getElementById('status');
+const runReport = document.getElementById('runReport');
+
+// Pause in typing before the tab search runs
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Approximate Chrome tab group chip colors
+const GROUP_COLORS = {
+    grey: '#9aa0a6', blue: '#8ab4f8', red: '#f28b82', yellow: '#fdd663', green: '#81c995',
+    pink: '#ff8bcb', purple: '#c58af9', cyan: '#78d9ec', orange: '#fcad70'
+};
 
 /**
  * Update status message with animation
  */
 function setStatus(message, type = 'info') {
     status.className = `status ${type}`;
-    status.innerHTML = type === 'loading'
-        ? `<span class="spinner"></span>${message}`
-        : message;
+    status.textContent = message;
+    if (type === 'loading') {
+        const spinner = document.createElement('span');
+        spinner.className = 'spinner';
+        status.prepend(spinner);
+    }
 }
 
 /**
@@ -38,24 +85,828 @@ groupBtn.addEventListener('click', async () => {
     setStatus('Analyzing tabs with AI...', 'loading');
 
     try {
-        const response = await chrome.runtime.sendMessage({ action: 'GROUP_NOW' });
+        const response = await chrome.runtime.sendMessage({
+            action: 'GROUP_NOW',
+            scope: scopeSelect.value,
+            strategy: strategySelect.value
+        });
 
         if (response?.status === 'ok') {
             setStatus('✅ Tabs organized!', 'success');
         } else {
             setStatus('⚠️ Something went wrong', 'error');
         }
+        await showLastRunReport();
     } catch (error) {
         console.error('Grouping error:', error);
         setStatus('❌ Error: ' + error.message, 'error');
     } finally {
         setLoading(groupBtn, false);
+        refreshUndo();
+
+        // Clear status after delay
+        setTimeout(() => setStatus(''), 3000);
+    }
+});
+
+/**
+ * Preview handler: compute groups without applying them
+ */
+let previewPlan = null;
+
+previewBtn.addEventListener('click', async () => {
+    setLoading(previewBtn, true);
+    setStatus('Analyzing tabs with AI...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'PREVIEW_GROUPS', strategy: strategySelect.value });
+
+        if (response?.status === 'ok') {
+            previewPlan = response.plan;
+            document.body.classList.add('previewing');
+            renderPreview();
+            renderReport({ skipped: previewPlan.skipped, failures: [] });
+            setStatus('Rename, drag tabs between groups, or drop groups');
+        } else {
+            setStatus('⚠️ Something went wrong', 'error');
+        }
+    } catch (error) {
+        console.error('Preview error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(previewBtn, false);
+    }
+});
+
+applyBtn.addEventListener('click', async () => {
+    setLoading(applyBtn, true);
+    setStatus('Applying groups...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'APPLY_PLAN',
+            plan: {
+                windowId: previewPlan.windowId,
+                incremental: previewPlan.incremental,
+                groups: previewPlan.groups.map(group => ({
+                    name: group.name,
+                    color: group.color,
+                    groupId: group.groupId,
+                    family: group.family,
+                    tabIds: group.tabs.map(tab => tab.id)
+                }))
+            }
+        });
+
+        if (response?.status === 'ok') {
+            closePreview();
+            setStatus('✅ Tabs organized!', 'success');
+            await showLastRunReport();
+        } else if (response?.status === 'busy') {
+            setStatus('⏳ Still grouping, try again in a moment', 'error');
+        } else {
+            setStatus('⚠️ Something went wrong', 'error');
+        }
+    } catch (error) {
+        console.error('Apply error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(applyBtn, false);
+        refreshUndo();
 
         // Clear status after delay
         setTimeout(() => setStatus(''), 3000);
     }
 });
 
+cancelBtn.addEventListener('click', () => {
+    closePreview();
+    renderReport(null);
+    setStatus('');
+});
+
+function closePreview() {
+    previewPlan = null;
+    previewList.innerHTML = '';
+    document.body.classList.remove('previewing');
+    renderGroupList();
+}
+
+/**
+ * Render the editable preview: one card per proposed group
+ */
+function renderPreview() {
+    previewList.innerHTML = '';
+
+    previewPlan.groups.forEach((group, groupIndex) => {
+        const card = document.createElement('div');
+        card.className = 'preview-group';
+
+        const header = document.createElement('div');
+        header.className = 'preview-group-header';
+
+        const dot = document.createElement('span');
+        dot.className = 'group-dot';
+        dot.style.background = GROUP_COLORS[group.color] || GROUP_COLORS.grey;
+
+        const name = document.createElement('input');
+        name.value = group.name;
+        name.placeholder = 'Untitled';
+        name.addEventListener('input', () => { group.name = name.value; });
+
+        const drop = document.createElement('button');
+        drop.className = 'drop-btn';
+        drop.textContent = '✕';
+        drop.title = 'Drop this group (its tabs stay ungrouped)';
+        drop.addEventListener('click', () => {
+            previewPlan.groups.splice(groupIndex, 1);
+            renderPreview();
+        });
+
+        header.append(dot, name, drop);
+        card.appendChild(header);
+
+        for (const tab of group.tabs) {
+            const row = document.createElement('div');
+            row.className = 'preview-tab';
+            row.draggable = true;
+            row.title = tab.reason;
+
+            const icon = document.createElement('img');
+            icon.src = tab.favIconUrl || '../icons/icon16.png';
+            icon.alt = '';
+
+            const title = document.createElement('span');
+            title.textContent = tab.title || 'Untitled tab';
+
+            row.append(icon, title);
+            row.addEventListener('dragstart', (event) => {
+                event.dataTransfer.setData('text/plain', String(tab.id));
+            });
+            card.appendChild(row);
+        }
+
+        // Drop target: move the dragged tab into this group
+        card.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            card.classList.add('drop-target');
+        });
+        card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+        card.addEventListener('drop', (event) => {
+            event.preventDefault();
+            moveTab(Number(event.dataTransfer.getData('text/plain')), group);
+        });
+
+        previewList.appendChild(card);
+    });
+}
+
+function moveTab(tabId, targetGroup) {
+    const source = previewPlan.groups.find(g => g.tabs.some(t => t.id === tabId));
+    if (!source || source === targetGroup) {
+        renderPreview();
+        return;
+    }
+
+    const tab = source.tabs.find(t => t.id === tabId);
+    source.tabs = source.tabs.filter(t => t.id !== tabId);
+    targetGroup.tabs.push(tab);
+    renderPreview();
+}
+
+/**
+ * Duplicates handler: list tabs showing the same page, then close the extras
+ */
+let duplicateSets = null;
+
+findDuplicatesBtn.addEventListener('click', async () => {
+    setLoading(findDuplicatesBtn, true);
+    setStatus('Looking for duplicates...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'FIND_DUPLICATES' });
+
+        if (response?.status !== 'ok') {
+            setStatus('⚠️ Something went wrong', 'error');
+        } else if (response.duplicates.length === 0) {
+            setStatus('✅ No duplicates', 'success');
+            setTimeout(() => setStatus(''), 3000);
+        } else {
+            duplicateSets = response.duplicates;
+            document.body.classList.add('deduping');
+            renderDuplicates();
+            setStatus('Drop sets to keep them, then choose which tab stays');
+        }
+    } catch (error) {
+        console.error('Duplicate search error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(findDuplicatesBtn, false);
+    }
+});
+
+function closeDuplicatePanel() {
+    duplicateSets = null;
+    duplicateList.innerHTML = '';
+    document.body.classList.remove('deduping');
+}
+
+/**
+ * One card per duplicate set, with a button to leave the set alone
+ */
+function renderDuplicates() {
+    duplicateList.innerHTML = '';
+
+    duplicateSets.forEach((set, setIndex) => {
+        const card = document.createElement('div');
+        card.className = 'preview-group';
+
+        const header = document.createElement('div');
+        header.className = 'preview-group-header';
+
+        const kind = document.createElement('span');
+        kind.className = 'duplicate-kind';
+        kind.textContent = set.kind === 'url'
+            ? `Same page, open ${set.tabs.length} times`
+            : `${Math.round(set.similarity * 100)}% similar content`;
+
+        const drop = document.createElement('button');
+        drop.className = 'drop-btn';
+        drop.textContent = '✕';
+        drop.title = 'Keep all of these tabs';
+        drop.addEventListener('click', () => {
+            duplicateSets.splice(setIndex, 1);
+            if (duplicateSets.length === 0) {
+                closeDuplicatePanel();
+                setStatus('');
+            } else {
+                renderDuplicates();
+            }
+        });
+
+        header.append(kind, drop);
+        card.appendChild(header);
+
+        for (const tab of set.tabs) {
+            const row = document.createElement('div');
+            row.className = 'preview-tab';
+            row.title = tab.url;
+
+            const icon = document.createElement('img');
+            icon.src = tab.favIconUrl || '../icons/icon16.png';
+            icon.alt = '';
+
+            const title = document.createElement('span');
+            title.textContent = tab.title || tab.url || 'Untitled tab';
+
+            row.append(icon, title);
+            card.appendChild(row);
+        }
+
+        duplicateList.appendChild(card);
+    });
+}
+
+async function closeDuplicates(keep) {
+    setStatus('Closing duplicates...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'CLOSE_DUPLICATES',
+            sets: duplicateSets.map(set => set.tabs.map(tab => tab.id)),
+            keep
+        });
+
+        if (response?.status === 'ok') {
+            closeDuplicatePanel();
+            setStatus(`✅ Closed ${response.closed} tab(s)`, 'success');
+        } else {
+            setStatus('⚠️ Something went wrong', 'error');
+        }
+    } catch (error) {
+        console.error('Close duplicates error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setTimeout(() => setStatus(''), 3000);
+    }
+}
+
+for (const [keep, { action }] of Object.entries(KEEP_MODES)) {
+    const button = document.createElement('button');
+    button.className = keep === 'first' ? 'btn btn-primary' : 'btn btn-secondary';
+    button.textContent = action;
+    button.addEventListener('click', () => closeDuplicates(keep));
+    duplicateActions.appendChild(button);
+}
+
+const cancelDuplicatesBtn = document.createElement('button');
+cancelDuplicatesBtn.className = 'btn btn-secondary';
+cancelDuplicatesBtn.textContent = 'Cancel';
+cancelDuplicatesBtn.addEventListener('click', () => {
+    closeDuplicatePanel();
+    setStatus('');
+});
+duplicateActions.appendChild(cancelDuplicatesBtn);
+
+/**
+ * Stale tabs: every group's age, with close/archive for stale ones, and the archive
+ */
+staleBtn.addEventListener('click', async () => {
+    document.body.classList.add('stale-view');
+    await renderStaleView();
+});
+
+closeStaleBtn.addEventListener('click', () => {
+    document.body.classList.remove('stale-view');
+    ageList.innerHTML = '';
+    archiveList.innerHTML = '';
+    renderGroupList();
+});
+
+archiveStaleBtn.addEventListener('click', async () => {
+    setLoading(archiveStaleBtn, true);
+    setStatus('Archiving stale groups...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_GROUP_AGES' });
+        if (response?.status !== 'ok') throw new Error(response?.error || 'unknown error');
+        const stale = response.groups.filter(group => group.stale);
+        let archived = 0;
+        let lastError = '';
+        for (const group of stale) {
+            const result = await chrome.runtime.sendMessage({ action: 'ARCHIVE_GROUP', groupId: group.groupId });
+            if (result?.status === 'ok') archived++;
+            else lastError = result?.error || 'unknown error';
+        }
+
+        if (stale.length === 0) {
+            setStatus('No stale groups', 'success');
+        } else if (archived === stale.length) {
+            setStatus(`✅ Archived ${archived} group(s)`, 'success');
+        } else {
+            setStatus(`⚠️ Archived ${archived} of ${stale.length} group(s): ${lastError}`, 'error');
+        }
+    } catch (error) {
+        console.error('Archive error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(archiveStaleBtn, false);
+        await renderStaleView();
+        setTimeout(() => setStatus(''), 3000);
+    }
+});
+
+async function renderStaleView() {
+    const [ages, archived] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'GET_GROUP_AGES' }),
+        chrome.runtime.sendMessage({ action: 'GET_ARCHIVE' })
+    ]);
+
+    ageList.innerHTML = '';
+    for (const group of ages?.groups || []) {
+        const item = groupRow(group.color, `${group.title || 'Untitled'} (${group.tabCount})`, formatAge(group.lastUsed));
+        if (group.stale) {
+            item.classList.add('is-stale');
+            item.append(
+                itemButton('📦', 'Archive: close it, keep it for later', () =>
+                    staleAction({ action: 'ARCHIVE_GROUP', groupId: group.groupId }, 'Archived')),
+                itemButton('✕', 'Close all its tabs', () =>
+                    staleAction({ action: 'CLOSE_GROUP', groupId: group.groupId }, 'Closed'))
+            );
+        }
+        ageList.appendChild(item);
+    }
+    if (ageList.children.length === 0) ageList.appendChild(emptyRow('No groups in this window'));
+    archiveStaleBtn.disabled = !(ages?.groups || []).some(group => group.stale);
+
+    archiveList.innerHTML = '';
+    for (const entry of archived?.archive || []) {
+        const item = groupRow(entry.color, `${entry.name || 'Untitled'} (${entry.tabs.length})`, formatAge(entry.archivedAt));
+        item.title = entry.tabs.map(tab => tab.snippet ? `${tab.title}: ${tab.snippet}` : tab.title).join('\n');
+        item.append(
+            itemButton('↩️', 'Reopen as a group', () =>
+                staleAction({ action: 'REOPEN_ARCHIVED', id: entry.id }, 'Reopened')),
+            itemButton('🗑️', 'Delete from the archive', () =>
+                staleAction({ action: 'DELETE_ARCHIVED', id: entry.id }, 'Deleted'))
+        );
+        archiveList.appendChild(item);
+    }
+    if (archiveList.children.length === 0) archiveList.appendChild(emptyRow('Nothing archived yet'));
+}
+
+async function staleAction(message, done) {
+    try {
+        const response = await chrome.runtime.sendMessage(message);
+        setStatus(response?.status === 'ok' ? `✅ ${done}` : '⚠️ Something went wrong',
+            response?.status === 'ok' ? 'success' : 'error');
+    } catch (error) {
+        setStatus('❌ Error: ' + error.message, 'error');
+    }
+    await renderStaleView();
+    setTimeout(() => setStatus(''), 3000);
+}
+
+/**
+ * Workspaces: save this window's groups under a name, reopen them later
+ */
+workspacesBtn.addEventListener('click', async () => {
+    document.body.classList.add('workspace-view');
+    workspaceNameInput.focus();
+    await renderWorkspaces();
+});
+
+document.getElementById('closeWorkspacesBtn').addEventListener('click', () => {
+    document.body.classList.remove('workspace-view');
+    workspaceList.innerHTML = '';
+    renderGroupList();
+});
+
+saveWorkspaceBtn.addEventListener('click', async () => {
+    const name = workspaceNameInput.value.trim();
+    if (!name) {
+        setStatus('Give the workspace a name first', 'error');
+        workspaceNameInput.focus();
+        return;
+    }
+
+    setLoading(saveWorkspaceBtn, true);
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'SAVE_WORKSPACE', name });
+        if (response?.status === 'ok') {
+            workspaceNameInput.value = '';
+            setStatus(`✅ Saved "${name}"`, 'success');
+        } else {
+            setStatus(response?.status === 'empty' ? 'No groups in this window to save' : '⚠️ Could not save',
+                response?.status === 'empty' ? 'info' : 'error');
+        }
+    } catch (error) {
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(saveWorkspaceBtn, false);
+        await renderWorkspaces();
+        setTimeout(() => setStatus(''), 3000);
+    }
+});
+
+workspaceNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') saveWorkspaceBtn.click();
+});
+
+document.getElementById('exportWorkspacesBtn').addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_WORKSPACES' });
+    if (response?.status !== 'ok') {
+        setStatus('❌ Export failed: ' + (response?.error || 'unknown error'), 'error');
+        return;
+    }
+    const blob = new Blob([JSON.stringify(response.workspaces, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'grooopy-workspaces.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('importWorkspacesBtn').addEventListener('click', () => importWorkspacesFile.click());
+
+importWorkspacesFile.addEventListener('change', async () => {
+    const file = importWorkspacesFile.files[0];
+    importWorkspacesFile.value = '';
+    if (!file) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'IMPORT_WORKSPACES',
+            workspaces: JSON.parse(await file.text())
+        });
+        if (response?.status !== 'ok') throw new Error(response?.error || 'unknown error');
+        setStatus(`✅ Imported ${response.count} workspace(s)`, 'success');
+    } catch (error) {
+        setStatus(`❌ Import failed: ${error.message}`, 'error');
+    }
+    await renderWorkspaces();
+});
+
+async function renderWorkspaces() {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_WORKSPACES' });
+
+    workspaceList.innerHTML = '';
+    for (const workspace of response?.workspaces || []) {
+        const tabCount = workspace.groups.reduce((sum, group) => sum + group.tabs.length, 0);
+        const item = groupRow(workspace.groups[0]?.color,
+            `${workspace.name} (${workspace.groups.length} groups, ${tabCount} tabs)`, formatAge(workspace.savedAt));
+        item.title = workspace.groups.map(group => `${group.name || 'Untitled'} (${group.tabs.length})`).join('\n');
+        item.append(
+            itemButton('↩️', 'Restore into this window', () => restoreWorkspace(workspace)),
+            itemButton('✏️', 'Rename', () => startRename(item, workspace)),
+            itemButton('🗑️', 'Delete', () =>
+                workspaceAction({ action: 'DELETE_WORKSPACE', id: workspace.id }, 'Deleted'))
+        );
+        workspaceList.appendChild(item);
+    }
+    if (workspaceList.children.length === 0) workspaceList.appendChild(emptyRow('No saved workspaces yet'));
+}
+
+async function restoreWorkspace(workspace) {
+    setStatus(`Restoring "${workspace.name}"...`, 'loading');
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'RESTORE_WORKSPACE', id: workspace.id });
+        if (response?.status === 'ok') {
+            setStatus(`✅ Restored: ${response.opened} tab(s) opened` +
+                (response.reused > 0 ? `, ${response.reused} already open` : ''), 'success');
+        } else {
+            setStatus(response?.status === 'busy' ? 'Grooopy is busy, try again in a moment' : '⚠️ Could not restore',
+                response?.status === 'busy' ? 'info' : 'error');
+        }
+    } catch (error) {
+        setStatus('❌ Error: ' + error.message, 'error');
+    }
+    await showLastRunReport();
+    setTimeout(() => setStatus(''), 3000);
+}
+
+/**
+ * Swap a workspace's name for a text field: Enter saves, Escape or leaving it cancels
+ */
+function startRename(item, workspace) {
+    const name = item.querySelector('.group-name');
+    const input = document.createElement('input');
+    input.className = 'workspace-name';
+    input.value = workspace.name;
+
+    let done = false;
+    const finish = async (save) => {
+        if (done) return;
+        done = true;
+        const next = input.value.trim();
+        if (save && next && next !== workspace.name) {
+            await workspaceAction({ action: 'RENAME_WORKSPACE', id: workspace.id, name: next }, 'Renamed');
+        } else {
+            await renderWorkspaces();
+        }
+    };
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') finish(true);
+        if (event.key === 'Escape') {
+            event.preventDefault(); // Keep the popup open
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(false));
+
+    name.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+async function workspaceAction(message, done) {
+    try {
+        const response = await chrome.runtime.sendMessage(message);
+        setStatus(response?.status === 'ok' ? `✅ ${done}` : '⚠️ Something went wrong',
+            response?.status === 'ok' ? 'success' : 'error');
+    } catch (error) {
+        setStatus('❌ Error: ' + error.message, 'error');
+    }
+    await renderWorkspaces();
+    setTimeout(() => setStatus(''), 3000);
+}
+
+/**
+ * Export: share the groups as Markdown, a bookmark file or JSON, or add them to the bookmarks
+ */
+document.getElementById('exportBtn').addEventListener('click', () => {
+    document.body.classList.add('export-view');
+});
+
+document.getElementById('closeExportBtn').addEventListener('click', () => {
+    document.body.classList.remove('export-view');
+    setStatus('');
+});
+
+document.getElementById('copyExportBtn').addEventListener('click', async (event) => {
+    await exportAction(event.currentTarget, async (groups) => {
+        await navigator.clipboard.writeText(formatExport(groups, exportFormatSelect.value, exportOptions()));
+        return `✅ Copied ${groups.length} group(s) as ${EXPORT_FORMATS[exportFormatSelect.value].label}`;
+    });
+});
+
+document.getElementById('downloadExportBtn').addEventListener('click', async (event) => {
+    await exportAction(event.currentTarget, async (groups) => {
+        const format = exportFormatSelect.value;
+        const blob = new Blob([formatExport(groups, format, exportOptions())], { type: EXPORT_FORMATS[format].mime });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = exportFileName(format);
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return `✅ Downloaded ${groups.length} group(s)`;
+    });
+});
+
+document.getElementById('bookmarkExportBtn').addEventListener('click', async (event) => {
+    await exportAction(event.currentTarget, async (groups) => {
+        const title = `Grooopy ${new Date().toLocaleString()}`;
+        const response = await chrome.runtime.sendMessage({ action: 'SAVE_TO_BOOKMARKS', groups, title });
+        if (response?.status !== 'ok') throw new Error(response?.error || 'could not create bookmarks');
+        return `✅ Added ${groups.length} folder(s) under "${title}"`;
+    });
+});
+
+function exportOptions() {
+    return { descriptions: exportDescriptionsToggle.checked };
+}
+
+/**
+ * Fetch the groups to export, hand them to an export action and report how it went
+ */
+async function exportAction(button, action) {
+    setLoading(button, true);
+    setStatus(exportSourceSelect.value === 'computed' ? 'Grouping tabs...' : 'Collecting groups...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_EXPORT_GROUPS',
+            source: exportSourceSelect.value,
+            strategy: strategySelect.value,
+            descriptions: exportDescriptionsToggle.checked
+        });
+
+        if (response?.status === 'ok') {
+            setStatus(await action(response.groups), 'success');
+        } else if (response?.status === 'empty') {
+            setStatus('No groups to export', 'info');
+        } else {
+            setStatus('⚠️ Export failed' + (response?.error ? `: ${response.error}` : ''), 'error');
+        }
+    } catch (error) {
+        console.error('Export error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(button, false);
+    }
+}
+
+function groupRow(color, label, age) {
+    const item = document.createElement('li');
+    item.className = 'group-item';
+
+    const dot = document.createElement('span');
+    dot.className = 'group-dot';
+    dot.style.background = GROUP_COLORS[color] || GROUP_COLORS.grey;
+
+    const name = document.createElement('span');
+    name.className = 'group-name';
+    name.textContent = label;
+
+    const ageLabel = document.createElement('span');
+    ageLabel.className = 'age';
+    ageLabel.textContent = age;
+
+    item.append(dot, name, ageLabel);
+    return item;
+}
+
+function itemButton(icon, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'item-btn';
+    button.textContent = icon;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function emptyRow(text) {
+    const item = document.createElement('li');
+    item.className = 'group-item';
+    item.textContent = text;
+    return item;
+}
+
+/**
+ * List what a run left alone and what failed, collapsed under a one-line summary
+ */
+function renderReport(report) {
+    runReport.innerHTML = '';
+    const skipped = report?.skipped || [];
+    const closed = report?.closed || [];
+    const failures = report?.failures || [];
+    if (skipped.length === 0 && closed.length === 0 && failures.length === 0) return;
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = [
+        skipped.length > 0 ? `${skipped.length} tab(s) skipped` : '',
+        closed.length > 0 ? `${closed.length} duplicate(s) closed` : '',
+        failures.length > 0 ? `${failures.length} problem(s)` : ''
+    ].filter(Boolean).join(', ');
+
+    const list = document.createElement('ul');
+    for (const { title, url, reason } of skipped) {
+        list.appendChild(reportItem(title || url, reason));
+    }
+    for (const { title, url } of closed) {
+        list.appendChild(reportItem(title || url, 'Duplicate closed'));
+    }
+    for (const { message, subject, error } of failures) {
+        const item = reportItem(subject ? `${message}: ${subject}` : message, error);
+        item.classList.add('report-failure');
+        list.appendChild(item);
+    }
+
+    details.append(summary, list);
+    runReport.appendChild(details);
+}
+
+function reportItem(subjectText, detailText) {
+    const item = document.createElement('li');
+    const subject = document.createElement('span');
+    subject.className = 'report-subject';
+    subject.textContent = subjectText;
+    subject.title = subjectText;
+    const detail = document.createElement('span');
+    detail.textContent = detailText;
+    item.append(subject, detail);
+    return item;
+}
+
+async function showLastRunReport() {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_RUN_REPORT' });
+    renderReport(response?.report);
+}
+
+/**
+ * Tab search: rank open tabs as the user types; click or Enter switches to one
+ */
+let searchTimer = null;
+let searchResults = [];
+let selectedResult = 0;
+
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+});
+
+searchInput.addEventListener('keydown', (event) => {
+    if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && searchResults.length > 0) {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        selectedResult = (selectedResult + step + searchResults.length) % searchResults.length;
+        renderSearchResults();
+    } else if (event.key === 'Enter' && searchResults[selectedResult]) {
+        switchToTab(searchResults[selectedResult].tabId);
+    }
+});
+
+async function runSearch() {
+    const query = searchInput.value.trim();
+    if (!query) {
+        searchResults = [];
+        renderSearchResults();
+        setStatus('');
+        return;
+    }
+
+    setStatus('Searching...', 'loading');
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'SEARCH_TABS', query });
+        if (query !== searchInput.value.trim()) return; // The user typed on meanwhile
+
+        if (response?.status !== 'ok') throw new Error(response?.error || 'unknown error');
+        searchResults = response.results;
+        selectedResult = 0;
+        renderSearchResults();
+        setStatus(searchResults.length > 0 ? '' : 'No matching tabs');
+    } catch (error) {
+        console.error('Search error:', error);
+        setStatus('❌ Search failed: ' + error.message, 'error');
+    }
+}
+
+function renderSearchResults() {
+    searchResultList.innerHTML = '';
+    searchResults.forEach((result, i) => {
+        const row = document.createElement('div');
+        row.className = i === selectedResult ? 'preview-tab selected' : 'preview-tab';
+        row.title = result.url;
+
+        const icon = document.createElement('img');
+        icon.src = result.favIconUrl || '../icons/icon16.png';
+        icon.alt = '';
+
+        const title = document.createElement('span');
+        title.textContent = result.title || result.url;
+
+        row.append(icon, title);
+        row.addEventListener('click', () => switchToTab(result.tabId));
+        searchResultList.appendChild(row);
+    });
+}
+
+async function switchToTab(tabId) {
+    const response = await chrome.runtime.sendMessage({ action: 'ACTIVATE_TAB', tabId });
+    if (response?.status === 'ok') window.close();
+    else setStatus('⚠️ That tab is gone', 'error');
+}
+
 /**
  * Ungroup all handler
  */
@@ -71,8 +922,137 @@ ungroupBtn.addEventListener('click', async () => {
         setStatus('❌ Error: ' + error.message, 'error');
     } finally {
         setLoading(ungroupBtn, false);
+        refreshUndo();
+
+        // Clear status after delay
+        setTimeout(() => setStatus(''), 3000);
+    }
+});
+
+/**
+ * Undo handler: restore the layout from before the last operation
+ */
+undoBtn.addEventListener('click', async () => {
+    setLoading(undoBtn, true);
+    setStatus('Restoring previous layout...', 'loading');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'UNDO_LAST' });
+
+        if (response?.status === 'ok') {
+            setStatus('✅ Previous layout restored', 'success');
+        } else if (response?.status === 'busy') {
+            setStatus('⏳ Still grouping, try again in a moment', 'error');
+        } else if (response?.status === 'empty') {
+            setStatus('Nothing to undo');
+        } else {
+            setStatus('⚠️ Something went wrong', 'error');
+        }
+    } catch (error) {
+        console.error('Undo error:', error);
+        setStatus('❌ Error: ' + error.message, 'error');
+    } finally {
+        setLoading(undoBtn, false);
+        refreshUndo();
+        renderGroupList();
 
         // Clear status after delay
         setTimeout(() => setStatus(''), 3000);
     }
 });
+
+/**
+ * Enable Undo only when there is something to restore
+ */
+async function refreshUndo() {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_UNDO_COUNT' });
+    const count = response?.count || 0;
+    undoBtn.disabled = count === 0;
+    undoBtn.title = count > 0 ? `${count} step(s) available` : 'Nothing to undo';
+}
+
+/**
+ * Incremental mode toggle
+ */
+incrementalToggle.addEventListener('change', async () => {
+    await saveSettings({ incrementalGrouping: incrementalToggle.checked });
+    renderGroupList();
+});
+
+/**
+ * Per-window auto mode toggle
+ */
+autoGroupToggle.addEventListener('change', async () => {
+    const { id: windowId } = await chrome.windows.getCurrent();
+    await chrome.runtime.sendMessage({
+        action: 'SET_AUTO_GROUP',
+        windowId,
+        enabled: autoGroupToggle.checked
+    });
+});
+
+/**
+ * List the window's groups with a pin toggle (only relevant in incremental mode)
+ */
+async function renderGroupList() {
+    groupList.innerHTML = '';
+    if (!incrementalToggle.checked) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'GET_GROUPS' });
+    for (const group of response?.groups || []) {
+        const item = document.createElement('li');
+        item.className = 'group-item';
+
+        const dot = document.createElement('span');
+        dot.className = 'group-dot';
+        dot.style.background = GROUP_COLORS[group.color] || GROUP_COLORS.grey;
+
+        const name = document.createElement('span');
+        name.className = 'group-name';
+        name.textContent = `${group.title || 'Untitled'} (${group.tabIds.length})`;
+
+        const pin = document.createElement('button');
+        pin.className = `pin-btn${group.pinned ? ' pinned' : ''}`;
+        pin.textContent = '📌';
+        pin.title = group.pinned ? 'Pinned: Grooopy won\'t move tabs out' : 'Pin this group';
+        pin.addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({
+                action: 'SET_GROUP_PINNED',
+                groupId: group.groupId,
+                pinned: !group.pinned
+            });
+            renderGroupList();
+        });
+
+        item.append(dot, name, pin);
+        groupList.appendChild(item);
+    }
+}
+
+for (const [id, strategy] of Object.entries(CLUSTERING_STRATEGIES)) {
+    strategySelect.add(new Option(strategy.label, id));
+}
+for (const [id, label] of Object.entries(EXPORT_SOURCES)) {
+    exportSourceSelect.add(new Option(label, id));
+}
+for (const [id, format] of Object.entries(EXPORT_FORMATS)) {
+    exportFormatSelect.add(new Option(format.label, id));
+}
+
+loadSettings().then(settings => {
+    incrementalToggle.checked = settings.incrementalGrouping;
+    strategySelect.value = settings.clusteringStrategy;
+    renderGroupList();
+});
+
+document.getElementById('settingsLink').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
+
+refreshUndo();
+
+chrome.windows.getCurrent().then(async ({ id: windowId }) => {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_AUTO_GROUP', windowId });
+    autoGroupToggle.checked = !!response?.enabled;
+});
@@ -0,0 +1,157 @@
+/**
+ * Grooopy Grouping Rules
+ * Deterministic overrides applied before the model: pin matching tabs to a
+ * fixed group, or exclude them from grouping altogether.
+ *
+ * Rule shape:
+ *   {
+ *     id: string,
+ *     enabled: boolean,
+ *     matchType: 'domain' | 'url' | 'regex' | 'title',
+ *     pattern: string,
+ *     action: 'group' | 'exclude',
+ *     groupName: string,   // action 'group' only
+ *     color: string        // action 'group' only, optional
+ *   }
+ *
+ * Rules are checked in order; the first enabled match wins.
+ */
+
+const STORAGE_KEY = 'rules';
+
+export const MATCH_TYPES = ['domain', 'url', 'regex', 'title'];
+export const RULE_ACTIONS = ['group', 'exclude'];
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+export async function loadRules() {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || [];
+}
+
+export async function saveRules(rules) {
+    await chrome.storage.sync.set({ [STORAGE_KEY]: validateRules(rules) });
+}
+
+export function createRule(overrides = {}) {
+    return {
+        id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        enabled: true,
+        matchType: 'domain',
+        pattern: '',
+        action: 'group',
+        groupName: '',
+        color: '',
+        ...overrides
+    };
+}
+
+/**
+ * Check rules loaded from storage or an imported file
+ * Throws with a message naming the offending rule; fills in missing ids.
+ */
+export function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Rules must be a JSON array');
+    }
+
+    return rules.map((rule, i) => {
+        const label = `Rule ${i + 1}`;
+        if (!rule || typeof rule !== 'object') throw new Error(`${label}: not an object`);
+        if (!MATCH_TYPES.includes(rule.matchType)) throw new Error(`${label}: unknown match type "${rule.matchType}"`);
+        if (!rule.pattern || typeof rule.pattern !== 'string') throw new Error(`${label}: pattern is required`);
+        if (!RULE_ACTIONS.includes(rule.action)) throw new Error(`${label}: unknown action "${rule.action}"`);
+        if (rule.action === 'group' && !rule.groupName) throw new Error(`${label}: group name is required`);
+        if (rule.color && !GROUP_COLORS.includes(rule.color)) throw new Error(`${label}: unknown color "${rule.color}"`);
+
+        if (rule.matchType === 'regex' || rule.matchType === 'title') {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch {
+                throw new Error(`${label}: invalid regular expression`);
+            }
+        }
+
+        const { id, ...fields } = rule;
+        return createRule({ ...fields, ...(id ? { id } : {}), enabled: rule.enabled !== false });
+    });
+}
+
+/**
+ * First enabled rule matching a tab, or null
+ */
+export function findMatchingRule(tab, rules) {
+    for (const rule of rules) {
+        if (rule.enabled !== false && ruleMatches(rule, tab)) return rule;
+    }
+    return null;
+}
+
+function ruleMatches(rule, tab) {
+    const url = tab.url || '';
+
+    try {
+        switch (rule.matchType) {
+            case 'domain': {
+                const hostname = new URL(url).hostname.replace(/^www\./, '');
+                const domain = rule.pattern.replace(/^\*\./, '').toLowerCase();
+                return hostname === domain || hostname.endsWith(`.${domain}`);
+            }
+            case 'url':
+                return matchesUrlGlob(url, rule.pattern);
+            case 'regex':
+                return new RegExp(rule.pattern, 'i').test(url);
+            case 'title':
+                return new RegExp(rule.pattern, 'i').test(tab.title || '');
+            default:
+                return false;
+        }
+    } catch {
+        return false; // Unparseable URL or pattern never matches
+    }
+}
+
+/**
+ * Whether a URL matches a glob; globs may be written with or without the scheme
+ */
+export function matchesUrlGlob(url, pattern) {
+    const glob = globToRegExp(pattern);
+    return glob.test(url) || glob.test(url.replace(/^[a-z]+:\/\//i, ''));
+}
+
+/**
+ * Convert a URL glob (`*` any run of characters, `?` one character) to a RegExp
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Split tabs by rule outcome
+ *
+ * @returns {{excluded: chrome.tabs.Tab[], assigned: Map<string, {rule: Object, tabs: chrome.tabs.Tab[]}>, remaining: chrome.tabs.Tab[]}}
+ *          `assigned` is keyed by group name, so rules sharing a name share a group
+ */
+export function partitionByRules(tabs, rules = []) {
+    const excluded = [];
+    const assigned = new Map();
+    const remaining = [];
+
+    for (const tab of tabs) {
+        const rule = findMatchingRule(tab, rules);
+
+        if (!rule) {
+            remaining.push(tab);
+        } else if (rule.action === 'exclude') {
+            excluded.push(tab);
+        } else {
+            if (!assigned.has(rule.groupName)) assigned.set(rule.groupName, { rule, tabs: [] });
+            assigned.get(rule.groupName).tabs.push(tab);
+        }
+    }
+
+    return { excluded, assigned, remaining };
+}
@@ -0,0 +1,100 @@
+/**
+ * Grooopy Settings
+ * User preferences persisted in chrome.storage.sync
+ */
+
+import { validateConfig } from './clusteringConfig.js';
+import { DEFAULT_MODEL_ID } from './models.js';
+import { DEFAULT_NAMING } from './naming.js';
+import { DEFAULT_STRATEGY } from './clusteringStrategies.js';
+import { DEFAULT_ORDERING } from './ordering.js';
+import { DEFAULT_EXCLUSIONS } from './eligibility.js';
+import { DEFAULT_KEEP } from './duplicates.js';
+import { DEFAULT_STALE_AFTER_DAYS } from './archive.js';
+
+const STORAGE_KEY = 'settings';
+const CLUSTERING_CONFIG_KEY = 'clusteringConfig';
+
+export const DEFAULT_SETTINGS = {
+    // Keep existing tab groups and only place new/ungrouped tabs
+    incrementalGrouping: false,
+
+    // Auto mode: minimum score for a new tab to join an existing group
+    autoGroupSimilarityFloor: 0.45,
+
+    // Page content extraction: tabs scripted at once, and how long to wait for each
+    extractionConcurrency: 6,
+    extractionTimeoutMs: 3000,
+
+    // Embedding model id (see models.js), and whether windows with non-English
+    // tabs switch to the multilingual model
+    embeddingModel: DEFAULT_MODEL_ID,
+    multilingualFallback: true,
+
+    // Tabs grouping leaves alone (see eligibility.js), and URL globs of pages never to group
+    exclusions: { ...DEFAULT_EXCLUSIONS },
+    excludedPatterns: [],
+
+    // Close tabs open twice under the same URL before grouping, and which copy stays (see duplicates.js)
+    dedupeOnGroup: false,
+    dedupeKeep: DEFAULT_KEEP,
+
+    // Groups unused for this many days are offered for closing or archiving (see archive.js)
+    staleAfterDays: DEFAULT_STALE_AFTER_DAYS,
+
+    // Learn from tabs the user moves between groups and groups they rename (see corrections.js)
+    learnFromCorrections: true,
+
+    // Collapse the sub-groups of a split topic except the one holding the active tab
+    collapseSubGroups: false,
+
+    // Clustering algorithm id (see clusteringStrategies.js); the popup can override it per run
+    clusteringStrategy: DEFAULT_STRATEGY,
+
+    // Group names: mode (see naming.js), template for 'template' mode, chip width in characters
+    namingMode: DEFAULT_NAMING.mode,
+    nameTemplate: DEFAULT_NAMING.template,
+    maxNameLength: DEFAULT_NAMING.maxLength,
+
+    // Order of groups in the strip and of tabs inside each group (see ordering.js)
+    groupOrder: DEFAULT_ORDERING.groups,
+    tabOrder: DEFAULT_ORDERING.tabs
+};
+
+/**
+ * Load settings, filling in defaults for anything not yet stored
+ */
+export async function loadSettings() {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    return { ...DEFAULT_SETTINGS, ...(stored[STORAGE_KEY] || {}) };
+}
+
+/**
+ * Merge changes into the stored settings
+ */
+export async function saveSettings(changes) {
+    const next = { ...(await loadSettings()), ...changes };
+    await chrome.storage.sync.set({ [STORAGE_KEY]: next });
+    return next;
+}
+
+/**
+ * Load the clustering hyperparameters (defaults for anything not customized)
+ */
+export async function loadClusteringConfig() {
+    const stored = await chrome.storage.sync.get(CLUSTERING_CONFIG_KEY);
+    return validateConfig(stored[CLUSTERING_CONFIG_KEY] || {}).config;
+}
+
+/**
+ * Save clustering hyperparameters
+ * Throws with every validation problem if any value is out of range.
+ */
+export async function saveClusteringConfig(config) {
+    const { config: validated, errors } = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    await chrome.storage.sync.set({ [CLUSTERING_CONFIG_KEY]: validated });
+    return validated;
+}
@@ -0,0 +1,60 @@
+/**
+ * Grooopy Tab Index
+ * Embeddings of the open tabs, kept in the offscreen document between runs so
+ * tab search doesn't have to embed every page again for each query.
+ *
+ * Filled by every embedding run of the engine (grouping, placement, duplicate
+ * search) and by the background page as tabs load; entries are dropped when
+ * tabs close. Lives in memory only: vectors themselves survive in the
+ * embedding cache (see embeddingCache.js), so the first search after the
+ * offscreen document restarts refills it cheaply from cached page content.
+ */
+
+export class TabIndex {
+    constructor() {
+        // tabId → { url, title, modelKey, embedding }
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Store the vectors of an embedding run
+     *
+     * @param {Object[]} tabVectors - Enriched tabs with their embedding (see ClusteringEngine.generateEmbeddings)
+     * @param {string} modelKey - Model the vectors came from; only vectors of one model compare
+     */
+    absorb(tabVectors, modelKey) {
+        for (const { tab, embedding } of tabVectors) {
+            if (tab?.id === undefined) continue;
+            this.entries.set(tab.id, { url: tab.url, title: tab.title, modelKey, embedding });
+        }
+    }
+
+    /**
+     * The stored vector of a tab, or null if it is missing, from another model,
+     * or older than the tab's current page
+     */
+    get(tab, modelKey) {
+        const entry = this.entries.get(tab.id);
+        return entry && entry.modelKey === modelKey && entry.url === tab.url && entry.title === tab.title
+            ? entry.embedding
+            : null;
+    }
+
+    remove(tabIds) {
+        tabIds.forEach(id => this.entries.delete(id));
+    }
+
+    /**
+     * Drop every tab not in the list (closed while no one was listening)
+     */
+    retain(tabIds) {
+        const open = new Set(tabIds);
+        for (const id of this.entries.keys()) {
+            if (!open.has(id)) this.entries.delete(id);
+        }
+    }
+}
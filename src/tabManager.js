@@ -1,8 +1,33 @@
+import { loadSettings, loadClusteringConfig } from './settings.js';
+import { loadRules, findMatchingRule } from './rules.js';
+import { extractTabContents, getCachedContents } from './contentExtractor.js';
+import { captureSnapshot, pushSnapshot, peekSnapshot, popSnapshot, restoreSnapshot } from './layoutHistory.js';
+import { loadCorrections, storeSignals } from './corrections.js';
+import { snapshotGroups } from './correctionTracker.js';
+import { DEFAULT_EXCLUSIONS, skipReason } from './eligibility.js';
+import { canonicalUrl, findUrlDuplicates, pickKeeper } from './duplicates.js';
+import { isStale, makeSnippet, addToArchive, takeFromArchive } from './archive.js';
+import { loadWorkspaces, addWorkspace, isWebUrl } from './workspaces.js';
+
 const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen.html';
+const PINNED_GROUPS_KEY = 'pinnedGroupIds';
+const EXTRACTION_REPORT_KEY = 'lastExtractionReport';
+const RUN_REPORT_KEY = 'lastRunReport';
+const SUB_GROUP_FAMILIES_KEY = 'subGroupFamilies';
+const MAX_SUB_GROUP_FAMILIES = 20;
+const INDEX_DEBOUNCE_MS = 2000;
+
+// Search indexing skips what the page is, not what the tab is doing: pinned,
+// audible or active tabs are still worth finding
+const INDEX_EXCLUSIONS = { incognito: true, internal: true };
 
 export class TabManager {
     constructor() {
         this.isGrouping = false;
+        this.lastChangeAt = 0; // When Grooopy last rearranged tabs (see settle)
+        this.runReport = null; // Skips and failures of the user-started run in progress (see beginReport)
+        this.pendingIndex = new Set(); // Tab ids waiting to be indexed (see indexTab)
+        this.indexTimer = null;
     }
 
     async createOffscreenDocument() {
@@ -15,84 +40,1379 @@ export class TabManager {
     }
 
     /**
-     * Get current window width for screen-aware grouping
+     * Get window width for screen-aware grouping (current window by default)
      */
-    async getScreenWidth() {
+    async getScreenWidth(windowId) {
         try {
-            const window = await chrome.windows.getCurrent();
+            const window = windowId ? await chrome.windows.get(windowId) : await chrome.windows.getCurrent();
             return window.width || 1920;
         } catch {
             return 1920; // Default fallback
         }
     }
 
-    async regroupTabs() {
+    /**
+     * Ids of all normal (non-popup, non-devtools) windows
+     */
+    async getNormalWindowIds() {
+        const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+        return windows.map(w => w.id);
+    }
+
+    /**
+     * Group tabs
+     * 
+     * @param {'window'|'all'|'consolidate'} scope - The current window, every
+     *        window independently, or one window per topic across windows
+     * @param {string} [strategy] - Clustering strategy for this run (see
+     *        clusteringStrategies.js); the saved setting when omitted
+     */
+    async regroupTabs(scope = 'window', strategy) {
         if (this.isGrouping) return;
         this.isGrouping = true;
+        this.beginReport();
+
+        let touched = [];
+        try {
+            const windowIds = scope === 'window'
+                ? [(await chrome.windows.getCurrent()).id]
+                : await this.getNormalWindowIds();
+
+            // With dedupe on, the run's undo snapshot is taken before duplicates
+            // close, and lists them so Undo reopens them
+            const { dedupeOnGroup, dedupeKeep } = await loadSettings();
+            let snapshot = null;
+            if (dedupeOnGroup) {
+                snapshot = await this.captureLayout(windowIds);
+                const closedTabIds = await this.dedupeWindows(windowIds, dedupeKeep);
+                if (snapshot) snapshot.closedTabIds = closedTabIds;
+            }
+
+            if (scope === 'consolidate') {
+                touched = null; // Consolidation may open windows: settle them all
+                await this.consolidateWindows(strategy, snapshot);
+                return;
+            }
+
+            const plans = [];
+            for (const windowId of windowIds) {
+                const plan = await this.computePlan(windowId, strategy);
+                if (plan) plans.push(plan);
+            }
+
+            touched = plans.map(plan => plan.windowId);
+            plans.forEach(plan => this.runReport.skipped.push(...plan.skipped));
+            if (snapshot) await this.storeSnapshot(snapshot);
+            else await this.snapshotWindows(touched);
+            for (const plan of plans) {
+                await this.applyGroups(plan.groups, plan.tabs, { incremental: plan.incremental });
+            }
+        } catch (error) {
+            console.error("[Grooopy] Context Error:", error);
+            this.runReport.failures.push({ message: 'Grouping failed', subject: '', error: error.message });
+        } finally {
+            await this.settle(touched ?? await this.getNormalWindowIds());
+            await this.endReport();
+            this.isGrouping = false;
+        }
+    }
+
+    /**
+     * Cluster one window without touching it (current window by default)
+     * 
+     * @returns {Promise<?{windowId: number, tabs: chrome.tabs.Tab[], groups: ClusterResult[], incremental: boolean, skipped: SkippedTab[]}>}
+     *          null if clustering failed or no tab may be grouped; `tabs` holds only eligible tabs
+     */
+    async computePlan(windowId, strategy) {
+        const allTabs = await chrome.tabs.query(windowId ? { windowId } : { currentWindow: true });
+        const settings = await this.loadRunSettings(strategy);
+        let { eligible: tabs, skipped } = this.filterEligible(allTabs, settings);
+        if (tabs.length === 0) return null;
+
+        const screenWidth = await this.getScreenWidth(tabs[0].windowId);
+        const incremental = settings.incrementalGrouping;
+        const existingGroups = incremental ? await this.getExistingGroups(tabs) : [];
+
+        // Without seeds the engine can't keep pinned groups whole: leave them out of the run
+        if (!incremental) tabs = await this.withoutPinnedGroups(tabs);
+        if (tabs.length === 0) return null;
+
+        console.log(`[Grooopy] Grouping ${tabs.length} tabs, screen width: ${screenWidth}px` +
+            (incremental ? `, keeping ${existingGroups.length} existing group(s)` : ''));
+
+        const groups = await this.requestClustering(tabs, screenWidth, existingGroups, settings);
+        return groups ? { windowId: tabs[0].windowId, tabs, groups, incremental, skipped } : null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ELIGIBILITY & RUN REPORT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Split tabs into those a run may group and those the user's exclusions
+     * leave alone (see eligibility.js)
+     * 
+     * @typedef {{tabId: number, title: string, url: string, reason: string}} SkippedTab
+     * @returns {{eligible: chrome.tabs.Tab[], skipped: SkippedTab[]}}
+     */
+    filterEligible(tabs, settings) {
+        const exclusions = { ...DEFAULT_EXCLUSIONS, ...settings.exclusions };
+        const eligible = [];
+        const skipped = [];
+
+        for (const tab of tabs) {
+            const reason = skipReason(tab, exclusions, settings.excludedPatterns);
+            if (reason) skipped.push({ tabId: tab.id, title: tab.title || '', url: tab.url || '', reason });
+            else eligible.push(tab);
+        }
+
+        if (skipped.length > 0) console.log(`[Grooopy] Skipping ${skipped.length} tab(s) by eligibility policy`);
+        return { eligible, skipped };
+    }
+
+    /**
+     * Start collecting what a user-started run skips and fails to do
+     * Auto mode placements don't report: they would bury the popup's last run.
+     */
+    beginReport() {
+        this.runReport = { at: Date.now(), skipped: [], closed: [], failures: [] };
+    }
+
+    async endReport() {
+        if (!this.runReport) return;
+        await chrome.storage.session.set({ [RUN_REPORT_KEY]: this.runReport });
+        this.runReport = null;
+    }
+
+    /**
+     * Log a tab or group operation that failed, and add it to the run report
+     */
+    warn(message, error, subject = '') {
+        console.warn(`[Grooopy] ${message}:`, subject, error);
+        this.runReport?.failures.push({ message, subject: String(subject), error: error?.message || String(error) });
+    }
+
+    /**
+     * What the most recent user-started run skipped and failed to do
+     * 
+     * @returns {Promise<?{at: number, skipped: SkippedTab[], closed: {title: string, url: string}[],
+     *          failures: {message: string, subject: string, error: string}[]}>}
+     */
+    async getRunReport() {
+        const stored = await chrome.storage.session.get(RUN_REPORT_KEY);
+        return stored[RUN_REPORT_KEY] || null;
+    }
+
+    /**
+     * Saved settings, with a strategy chosen for this run taking precedence
+     */
+    async loadRunSettings(strategy) {
+        const settings = await loadSettings();
+        return strategy ? { ...settings, clusteringStrategy: strategy } : settings;
+    }
+
+    /**
+     * Extract content and send tabs to offscreen for clustering
+     * 
+     * @returns {Promise<?ClusterResult[]>} null if clustering failed
+     */
+    async requestClustering(tabs, screenWidth, existingGroups = [], settings) {
+        await this.createOffscreenDocument();
+        settings = settings || await loadSettings();
+
+        const extractions = await this.extractContent(tabs, settings);
+        const rules = await loadRules();
+        const config = await loadClusteringConfig();
+        const corrections = settings.learnFromCorrections ? await loadCorrections() : null;
+
+        // Send tabs to offscreen for clustering
+        const response = await chrome.runtime.sendMessage({
+            action: 'CLUSTER_TABS',
+            tabs: tabs,
+            screenWidth: screenWidth,
+            existingGroups: existingGroups,
+            extractions: extractions,
+            rules: rules,
+            config: config,
+            model: settings.embeddingModel,
+            multilingualFallback: settings.multilingualFallback,
+            strategy: settings.clusteringStrategy,
+            corrections: corrections,
+            naming: {
+                mode: settings.namingMode,
+                template: settings.nameTemplate,
+                maxLength: settings.maxNameLength
+            },
+            ordering: {
+                groups: settings.groupOrder,
+                tabs: settings.tabOrder
+            }
+        });
+
+        if (response && response.groups) {
+            await storeSignals(response.correctionSignals);
+            return response.groups;
+        }
+        if (response && response.error) {
+            console.error("[Grooopy] Clustering Error:", response.error);
+        }
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DUPLICATES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Duplicate sets in the current window (see duplicates.js), with enough
+     * tab detail for the popup. Skipped tabs are never reported as duplicates.
+     */
+    async findDuplicates() {
+        const settings = await loadSettings();
+        const { eligible: tabs } = this.filterEligible(await chrome.tabs.query({ currentWindow: true }), settings);
+        if (tabs.length < 2) return [];
+
+        await this.createOffscreenDocument();
+        const response = await chrome.runtime.sendMessage({
+            action: 'DETECT_DUPLICATES',
+            tabs,
+            extractions: await this.extractContent(tabs, settings),
+            config: await loadClusteringConfig(),
+            model: settings.embeddingModel,
+            multilingualFallback: settings.multilingualFallback
+        });
+        if (response?.error) throw new Error(response.error);
+
+        const tabsById = new Map(tabs.map(t => [t.id, t]));
+        return (response?.duplicates || []).map(set => ({
+            ...set,
+            tabs: set.tabIds.map(id => ({
+                id,
+                title: tabsById.get(id)?.title || '',
+                url: tabsById.get(id)?.url || '',
+                favIconUrl: tabsById.get(id)?.favIconUrl || ''
+            }))
+        }));
+    }
+
+    /**
+     * Close all but one tab of each duplicate set
+     * Tabs are read again first, so tabs closed meanwhile are ignored and
+     * "most recently used" is up to date.
+     * 
+     * @param {number[][]} sets - Tab ids of each set
+     * @param {string} keep - Which tab stays (see KEEP_MODES in duplicates.js)
+     * @returns {Promise<number[]>} Ids of the closed tabs
+     */
+    async closeDuplicates(sets, keep) {
+        const extras = [];
+        for (const tabIds of sets) {
+            const tabs = (await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)))).filter(Boolean);
+            if (tabs.length < 2) continue;
+
+            const keeper = pickKeeper(tabs, keep);
+            extras.push(...tabs.filter(t => t !== keeper));
+        }
+        if (extras.length === 0) return [];
+
+        try {
+            await chrome.tabs.remove(extras.map(t => t.id));
+        } catch (e) {
+            this.warn('Could not close duplicate tabs', e);
+            return [];
+        }
+
+        this.runReport?.closed.push(...extras.map(t => ({ title: t.title || '', url: t.url || '' })));
+        console.log(`[Grooopy] Closed ${extras.length} duplicate tab(s)`);
+        return extras.map(t => t.id);
+    }
+
+    /**
+     * Before grouping: close tabs open more than once under the same URL
+     * Near-duplicates by content are only ever closed from the popup, where the user sees them.
+     * 
+     * @returns {Promise<number[]>} Ids of the closed tabs
+     */
+    async dedupeWindows(windowIds, keep) {
+        const settings = await loadSettings();
+        const tabs = (await Promise.all(windowIds.map(windowId => chrome.tabs.query({ windowId })))).flat();
+        const { eligible } = this.filterEligible(tabs, settings);
+
+        // Incognito and regular tabs are never duplicates of each other
+        const sets = [false, true].flatMap(incognito =>
+            findUrlDuplicates(eligible.filter(t => !!t.incognito === incognito)));
+        return this.closeDuplicates(sets.map(set => set.map(t => t.id)), keep);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STALE TABS & ARCHIVE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Groups of the current window with when they were last used, oldest first
+     * A group is as fresh as its most recently used tab.
+     * 
+     * @returns {Promise<{groupId: number, title: string, color: string, tabCount: number, lastUsed: number, stale: boolean}[]>}
+     */
+    async getGroupAges() {
+        const { staleAfterDays } = await loadSettings();
+        const tabs = await chrome.tabs.query({ currentWindow: true });
+        const groups = await this.getExistingGroups(tabs);
+        const lastAccessed = new Map(tabs.map(t => [t.id, t.lastAccessed || 0]));
+
+        return groups
+            .map(group => {
+                const lastUsed = Math.max(...group.tabIds.map(id => lastAccessed.get(id)));
+                return {
+                    groupId: group.groupId,
+                    title: group.title,
+                    color: group.color,
+                    tabCount: group.tabIds.length,
+                    lastUsed,
+                    stale: isStale(lastUsed, staleAfterDays)
+                };
+            })
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+    }
+
+    /**
+     * Close every tab of a group
+     */
+    async closeGroup(groupId) {
+        const tabs = await chrome.tabs.query({ groupId });
+        if (tabs.length > 0) await chrome.tabs.remove(tabs.map(t => t.id));
+    }
+
+    /**
+     * Save a group to the archive (see archive.js), then close it
+     * 
+     * @returns {Promise<Object>} The archive entry
+     */
+    async archiveGroup(groupId) {
+        const group = await chrome.tabGroups.get(groupId);
+        const tabs = await chrome.tabs.query({ groupId });
+        const settings = await loadSettings();
+        const extractions = await extractTabContents(tabs, {
+            concurrency: settings.extractionConcurrency,
+            timeoutMs: settings.extractionTimeoutMs
+        });
+
+        const entry = await addToArchive({
+            name: group.title || '',
+            color: group.color,
+            lastUsed: Math.max(...tabs.map(t => t.lastAccessed || 0)),
+            tabs: tabs.map(t => ({
+                url: t.url || t.pendingUrl || '',
+                title: t.title || '',
+                favIconUrl: t.favIconUrl || '',
+                snippet: makeSnippet(extractions[t.id]?.content)
+            }))
+        });
+
+        await chrome.tabs.remove(tabs.map(t => t.id));
+        console.log(`[Grooopy] Archived "${entry.name}" (${entry.tabs.length} tabs)`);
+        return entry;
+    }
+
+    /**
+     * Reopen an archived group in the current window and drop it from the archive
+     * 
+     * @returns {Promise<boolean>} false if the entry no longer exists
+     */
+    async reopenArchived(id) {
+        const entry = await takeFromArchive(id);
+        if (!entry) return false;
+
+        const { id: windowId } = await chrome.windows.getCurrent();
+        const tabIds = [];
+        for (const tab of entry.tabs) {
+            try {
+                tabIds.push((await chrome.tabs.create({ windowId, url: tab.url, active: false })).id);
+            } catch (e) {
+                this.warn('Could not reopen tab', e, tab.url);
+            }
+        }
+        if (tabIds.length === 0) return true;
+
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+        await chrome.tabGroups.update(groupId, { title: entry.name, color: entry.color });
+        return true;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // WORKSPACES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Save the current window's groups, in tab strip order, as a named workspace
+     * (see workspaces.js). Ungrouped tabs and non-web pages are not part of a workspace.
+     *
+     * @returns {Promise<?Object>} The workspace, null if the window has no groups
+     */
+    async saveWorkspace(name) {
+        const groups = await this.getGroupsInStripOrder();
+        const saved = groups.map(group => ({
+            name: group.title,
+            color: group.color,
+            collapsed: group.collapsed,
+            tabs: group.tabs.map(t => ({ url: t.url || t.pendingUrl || '', title: t.title || '' })).filter(t => isWebUrl(t.url))
+        })).filter(group => group.tabs.length > 0);
+        if (saved.length === 0) return null;
+
+        const workspace = await addWorkspace(name, saved);
+        console.log(`[Grooopy] Saved workspace "${name}" (${saved.length} groups)`);
+        return workspace;
+    }
+
+    /**
+     * Recreate a workspace's groups at the end of the current window
+     * A page that is already open is moved into its group instead of being
+     * opened again; tabs in pinned groups count as open but stay where they are.
+     * A group whose name matches one already in the window is added to.
+     *
+     * @returns {Promise<{status: 'ok'|'missing'|'busy', opened?: number, reused?: number}>}
+     */
+    async restoreWorkspace(id) {
+        const workspace = (await loadWorkspaces()).find(w => w.id === id);
+        if (!workspace) return { status: 'missing' };
+        if (this.isGrouping) return { status: 'busy' };
+        this.isGrouping = true;
+        this.beginReport();
+
+        let windowId = null;
+        let opened = 0, reused = 0;
+        try {
+            ({ id: windowId } = await chrome.windows.getCurrent());
+            await this.snapshotWindows([windowId]);
+            const tabs = await chrome.tabs.query({ windowId });
+            const existingGroups = await this.getExistingGroups(tabs);
+            const pinnedGroupIds = new Set(existingGroups.filter(g => g.pinned).map(g => g.groupId));
+
+            // Open tabs by page, each reused at most once
+            const open = new Map();
+            for (const tab of tabs.filter(t => !t.pinned)) {
+                const url = tab.url || tab.pendingUrl || '';
+                const key = canonicalUrl(url) || url;
+                if (!open.has(key)) open.set(key, []);
+                open.get(key).push(tab);
+            }
+
+            for (const group of workspace.groups) {
+                const tabIds = [];
+                for (const saved of group.tabs) {
+                    const tab = open.get(canonicalUrl(saved.url) || saved.url)?.shift();
+                    if (tab) {
+                        reused++;
+                        if (!pinnedGroupIds.has(tab.groupId)) tabIds.push(tab.id);
+                        continue;
+                    }
+                    try {
+                        tabIds.push((await chrome.tabs.create({ windowId, url: saved.url, active: false })).id);
+                        opened++;
+                    } catch (e) {
+                        this.warn('Could not reopen tab', e, saved.url);
+                    }
+                }
+                if (tabIds.length === 0) continue;
+
+                // One group failing (e.g. a tab closed meanwhile) shouldn't stop the rest
+                try {
+                    const existing = existingGroups.find(g => g.title && g.title === group.name && !g.pinned);
+                    const groupId = await chrome.tabs.group(existing
+                        ? { tabIds, groupId: existing.groupId }
+                        : { tabIds, createProperties: { windowId } });
+                    await chrome.tabGroups.update(groupId, { title: group.name, color: group.color, collapsed: group.collapsed });
+                    await chrome.tabGroups.move(groupId, { index: -1 });
+                } catch (e) {
+                    this.warn('Could not restore group', e, group.name || 'Untitled');
+                }
+            }
+
+            console.log(`[Grooopy] Restored workspace "${workspace.name}" (${opened} opened, ${reused} reused)`);
+            return { status: 'ok', opened, reused };
+        } finally {
+            if (windowId !== null) await this.settle([windowId]);
+            await this.endReport();
+            this.isGrouping = false;
+        }
+    }
+
+    /**
+     * The current window's groups from left to right, with their tabs
+     */
+    async getGroupsInStripOrder() {
+        const tabs = await chrome.tabs.query({ currentWindow: true });
+        const groups = await this.getExistingGroups(tabs);
+        const position = new Map(tabs.map((t, i) => [t.id, i]));
+        const byId = new Map(tabs.map(t => [t.id, t]));
+
+        return groups
+            .filter(group => group.tabIds.length > 0)
+            .sort((a, b) => position.get(a.tabIds[0]) - position.get(b.tabIds[0]))
+            .map(group => ({ ...group, tabs: group.tabIds.map(id => byId.get(id)) }));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // EXPORT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Groups to export (see exporter.js): the window's current groups, or a
+     * freshly computed grouping that is not applied
+     *
+     * @param {'current'|'computed'} source
+     * @param {Object} [options] - { strategy: for 'computed', descriptions: look up meta descriptions }
+     * @returns {Promise<?Object[]>} null if there is nothing to export
+     */
+    async getExportGroups(source, options = {}) {
+        let groups;
+        if (source === 'computed') {
+            const plan = await this.computePlan(undefined, options.strategy);
+            if (!plan) return null;
+            const tabsById = new Map(plan.tabs.map(t => [t.id, t]));
+            groups = plan.groups.map(group => ({
+                name: group.name,
+                color: group.color,
+                tabs: group.tabIds.map(id => tabsById.get(id)).filter(Boolean)
+            }));
+        } else {
+            groups = (await this.getGroupsInStripOrder()).map(group => ({
+                name: group.title,
+                color: group.color,
+                tabs: group.tabs
+            }));
+        }
+        if (groups.length === 0) return null;
+
+        let extractions = {};
+        if (options.descriptions) {
+            const settings = await loadSettings();
+            extractions = await extractTabContents(groups.flatMap(group => group.tabs), {
+                concurrency: settings.extractionConcurrency,
+                timeoutMs: settings.extractionTimeoutMs
+            });
+        }
+
+        return groups.map(group => ({
+            name: group.name,
+            color: group.color,
+            tabs: group.tabs
+                .filter(t => t.url || t.pendingUrl)
+                .map(t => ({
+                    title: t.title || '',
+                    url: t.url || t.pendingUrl,
+                    description: extractions[t.id]?.description || ''
+                }))
+        })).filter(group => group.tabs.length > 0);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TAB SEARCH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Open tabs in every window best matching a query (see ClusteringEngine.searchTabs)
+     * Incognito and regular tabs are never shown to each other.
+     *
+     * @returns {Promise<{tabId: number, windowId: number, title: string, url: string, favIconUrl: string, score: number}[]>}
+     */
+    async searchTabs(query, limit = 8) {
+        const { incognito } = await chrome.windows.getCurrent();
+        const tabs = (await chrome.tabs.query({})).filter(t => t.incognito === incognito);
+        const settings = await loadSettings();
+
+        await this.createOffscreenDocument();
+        const response = await chrome.runtime.sendMessage({
+            action: 'RANK_TABS',
+            query,
+            tabs,
+            limit,
+            config: await loadClusteringConfig(),
+            model: settings.embeddingModel,
+            multilingualFallback: settings.multilingualFallback,
+            extractions: await getCachedContents(tabs)
+        });
+        if (response?.error) throw new Error(response.error);
+
+        // Tabs closed while the query ran are neither shown nor kept in the index
+        const openIds = new Set((await chrome.tabs.query({})).map(t => t.id));
+        const tabsById = new Map(tabs.filter(t => openIds.has(t.id)).map(t => [t.id, t]));
+        const results = response?.results || [];
+        const closedIds = results.map(r => r.tabId).filter(id => !tabsById.has(id));
+        if (closedIds.length > 0) await this.unindexTabs(closedIds);
+
+        return results.filter(result => tabsById.has(result.tabId)).map(result => {
+            const tab = tabsById.get(result.tabId);
+            return {
+                tabId: tab.id,
+                windowId: tab.windowId,
+                title: tab.title || '',
+                url: tab.url || tab.pendingUrl || '',
+                favIconUrl: tab.favIconUrl || '',
+                score: result.score
+            };
+        });
+    }
+
+    /**
+     * Bring a tab and its window to the front
+     */
+    async activateTab(tabId) {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    }
+
+    /**
+     * Queue a page that finished loading for the search index
+     * Pages that load in a burst (or reload) are embedded once, together.
+     * Only while the offscreen document runs anyway: loading the model for every
+     * page load would cost more than it saves, and a search embeds the tabs the
+     * index misses itself.
+     */
+    async indexTab(tab) {
+        if (!(await chrome.offscreen.hasDocument())) return;
+
+        this.pendingIndex.add(tab.id);
+        this.scheduleIndexFlush();
+    }
+
+    scheduleIndexFlush() {
+        clearTimeout(this.indexTimer);
+        this.indexTimer = setTimeout(() => {
+            this.flushIndex().catch(e => console.warn("[Grooopy] Could not index tabs:", e));
+        }, INDEX_DEBOUNCE_MS);
+    }
+
+    /**
+     * Embed the queued pages into the search index, from their content
+     * Incognito, browser and excluded pages are never indexed; while a grouping
+     * run is in progress, the queue waits for the next round.
+     */
+    async flushIndex() {
+        if (this.isGrouping) {
+            this.scheduleIndexFlush();
+            return;
+        }
+        const tabIds = this.pendingIndex;
+        this.pendingIndex = new Set();
+        const settings = await loadSettings();
+        // Current state of the queued tabs: ones closed or navigated to an excluded page meanwhile drop out
+        const tabs = (await chrome.tabs.query({}))
+            .filter(t => tabIds.has(t.id) && !skipReason(t, INDEX_EXCLUSIONS, settings.excludedPatterns));
+        if (tabs.length === 0 || !(await chrome.offscreen.hasDocument())) return;
+
+        const extractions = await extractTabContents(tabs, {
+            concurrency: settings.extractionConcurrency,
+            timeoutMs: settings.extractionTimeoutMs
+        });
+        await chrome.runtime.sendMessage({
+            action: 'INDEX_TABS',
+            tabs,
+            extractions,
+            config: await loadClusteringConfig(),
+            model: settings.embeddingModel,
+            multilingualFallback: settings.multilingualFallback
+        });
+    }
+
+    async unindexTabs(tabIds) {
+        if (!(await chrome.offscreen.hasDocument())) return;
+        await chrome.runtime.sendMessage({ action: 'UNINDEX_TABS', tabIds });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CROSS-WINDOW CONSOLIDATION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Cluster tabs across all windows and gather each topic into one window
+     * Incognito and regular tabs are clustered separately and never share a window.
+     */
+    async consolidateWindows(strategy, snapshot = null) {
+        const windows = await chrome.windows.getAll({ windowTypes: ['normal'], populate: true });
+        if (snapshot) await this.storeSnapshot(snapshot);
+        else await this.snapshotWindows(windows.map(w => w.id));
+
+        for (const incognito of [false, true]) {
+            const sameProfile = windows.filter(w => w.incognito === incognito);
+            if (sameProfile.length > 0) {
+                await this.consolidate(sameProfile, strategy);
+            }
+        }
+    }
+
+    async consolidate(windows, strategy) {
+        // Skipped tabs (pinned ones by default) stay in their window
+        const settings = await this.loadRunSettings(strategy);
+        const { eligible, skipped } = this.filterEligible(windows.flatMap(w => w.tabs), settings);
+        this.runReport?.skipped.push(...skipped);
+        const tabs = await this.withoutPinnedGroups(eligible); // Pinned groups stay where they are
+        if (tabs.length === 0) return;
+        const screenWidth = Math.max(...windows.map(w => w.width || 1920));
+
+        console.log(`[Grooopy] Consolidating ${tabs.length} tabs from ${windows.length} window(s)`);
+
+        const groups = await this.requestClustering(tabs, screenWidth, [], settings);
+        if (!groups) return;
+
+        const tabsInGroups = tabs.filter(t => t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
+        if (tabsInGroups.length > 0) {
+            try {
+                await chrome.tabs.ungroup(tabsInGroups.map(t => t.id));
+            } catch (e) {
+                this.warn('Could not ungroup some tabs', e);
+            }
+        }
+
+        const windowOf = new Map(tabs.map(t => [t.id, t.windowId]));
+        const claimed = new Set();
+        const familyWindows = new Map();
+        const groupIds = new Map();
+        const topics = groups
+            .filter(groupDef => this.shouldCreateGroup(groupDef))
+            .sort((a, b) => b.tabIds.length - a.tabIds.length);
+
+        for (const groupDef of topics) {
+            // Each topic goes to the unclaimed window already holding most of its tabs
+            const counts = new Map();
+            for (const id of groupDef.tabIds) {
+                const windowId = windowOf.get(id);
+                if (!claimed.has(windowId)) counts.set(windowId, (counts.get(windowId) || 0) + 1);
+            }
+            let targetWindowId = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+            // Sub-groups of a topic stay in one window, next to each other
+            if (familyWindows.has(groupDef.family)) targetWindowId = familyWindows.get(groupDef.family);
+
+            try {
+                if (targetWindowId === undefined) {
+                    const created = await chrome.windows.create({ tabId: groupDef.tabIds[0], focused: false });
+                    targetWindowId = created.id;
+                    windowOf.set(groupDef.tabIds[0], targetWindowId);
+                }
+                claimed.add(targetWindowId);
+                if (groupDef.family !== undefined) familyWindows.set(groupDef.family, targetWindowId);
+
+                const moving = groupDef.tabIds.filter(id => windowOf.get(id) !== targetWindowId);
+                if (moving.length > 0) {
+                    await chrome.tabs.move(moving, { windowId: targetWindowId, index: -1 });
+                    moving.forEach(id => windowOf.set(id, targetWindowId));
+                }
+
+                groupIds.set(groupDef, await this.createGroup(groupDef));
+            } catch (e) {
+                this.warn('Could not consolidate group', e, groupDef.name);
+            }
+        }
+
+        await this.orderTabStrip(topics, groupIds);
+        await this.arrangeSubGroups(topics, groupIds);
+    }
+
+    /**
+     * Dry run: the proposed groups with enough tab detail for the popup to show
+     */
+    async previewGroups(strategy) {
+        const plan = await this.computePlan(undefined, strategy);
+        if (!plan) return null;
+
+        const tabsById = new Map(plan.tabs.map(t => [t.id, t]));
+
+        return {
+            windowId: plan.windowId,
+            incremental: plan.incremental,
+            skipped: plan.skipped,
+            groups: plan.groups.map(group => ({
+                name: group.name,
+                color: group.color,
+                groupId: group.groupId,
+                family: group.family,
+                tabs: group.tabIds.map(id => ({
+                    id,
+                    title: tabsById.get(id)?.title || '',
+                    favIconUrl: tabsById.get(id)?.favIconUrl || '',
+                    reason: group.reasons?.[id] || ''
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Apply a (possibly user-edited) plan from previewGroups
+     * Tabs closed or skipped since the preview are dropped from it.
+     * 
+     * @returns {Promise<'ok'|'busy'>}
+     */
+    async applyPlan(plan) {
+        if (this.isGrouping) return 'busy';
+        this.isGrouping = true;
+        this.beginReport();
+
+        try {
+            const { eligible: tabs, skipped } = this.filterEligible(
+                await chrome.tabs.query({ windowId: plan.windowId }), await loadSettings());
+            this.runReport.skipped.push(...skipped);
+            const alive = new Set(tabs.map(t => t.id));
+            const groups = plan.groups.map(group => ({
+                ...group,
+                tabIds: group.tabIds.filter(id => alive.has(id))
+            }));
+
+            await this.snapshotWindows([plan.windowId]);
+            await this.applyGroups(groups, tabs, { incremental: plan.incremental });
+            return 'ok';
+        } finally {
+            await this.settle([plan.windowId]);
+            await this.endReport();
+            this.isGrouping = false;
+        }
+    }
+
+    /**
+     * Move individual tabs into their best-matching existing group
+     * Shares the isGrouping guard with regroupTabs so the two never interleave.
+     * 
+     * @returns {Promise<boolean>} false if another grouping run was in progress
+     */
+    async placeTabs(windowId, tabIds) {
+        if (this.isGrouping) return false;
+        this.isGrouping = true;
 
         try {
+            const tabs = await chrome.tabs.query({ windowId });
+            const existingGroups = await this.getExistingGroups(tabs);
+
+            // Tabs in pinned groups stay where the user put them, skipped tabs stay loose
+            const settings = await loadSettings();
+            const pinnedGroupIds = new Set(existingGroups.filter(g => g.pinned).map(g => g.groupId));
+            const requested = new Set(tabIds);
+            const { eligible } = this.filterEligible(tabs.filter(t =>
+                requested.has(t.id) && !pinnedGroupIds.has(t.groupId)), settings);
+
+            // Rules first; the model only sees what no rule decided on
+            const ruled = await this.placeByRules(eligible, existingGroups);
+            const candidates = eligible.filter(t => !ruled.has(t.id));
+            if (candidates.length === 0 || existingGroups.length === 0) return true;
+
             await this.createOffscreenDocument();
-            const tabs = await chrome.tabs.query({ currentWindow: true });
-            const screenWidth = await this.getScreenWidth();
+            const candidateIds = candidates.map(t => t.id);
+            const relevantTabs = tabs.filter(t =>
+                requested.has(t.id) || t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
 
-            console.log(`[Grooopy] Grouping ${tabs.length} tabs, screen width: ${screenWidth}px`);
+            const extractions = await this.extractContent(relevantTabs, settings);
 
-            // Send tabs to offscreen for clustering
             const response = await chrome.runtime.sendMessage({
-                action: 'CLUSTER_TABS',
-                tabs: tabs,
-                screenWidth: screenWidth
+                action: 'PLACE_TABS',
+                tabs: relevantTabs,
+                existingGroups,
+                candidateIds,
+                similarityFloor: settings.autoGroupSimilarityFloor,
+                extractions,
+                config: await loadClusteringConfig(),
+                model: settings.embeddingModel,
+                multilingualFallback: settings.multilingualFallback
             });
 
-            if (response && response.groups) {
-                await this.applyGroups(response.groups, tabs);
-            } else if (response && response.error) {
-                console.error("[Grooopy] Clustering Error:", response.error);
+            if (response && response.error) {
+                console.error("[Grooopy] Placement Error:", response.error);
+                return true;
             }
 
+            const currentGroupOf = new Map(tabs.map(t => [t.id, t.groupId]));
+            for (const { tabId, groupId } of response?.placements || []) {
+                if (groupId === null || currentGroupOf.get(tabId) === groupId) continue;
+                try {
+                    await chrome.tabs.group({ groupId, tabIds: [tabId] });
+                } catch (e) {
+                    this.warn('Could not place tab', e, tabId);
+                }
+            }
         } catch (error) {
             console.error("[Grooopy] Context Error:", error);
         } finally {
+            await this.settle([windowId]);
             this.isGrouping = false;
         }
+
+        return true;
+    }
+
+    /**
+     * Auto mode counterpart of the engine's rule step: rule-matched tabs join
+     * the group named by the rule (created if needed), excluded tabs are left alone.
+     * 
+     * @returns {Promise<Set<number>>} Ids of tabs a rule decided on
+     */
+    async placeByRules(tabs, existingGroups) {
+        const rules = await loadRules();
+        const handled = new Set();
+
+        for (const tab of tabs) {
+            const rule = findMatchingRule(tab, rules);
+            if (!rule) continue;
+
+            handled.add(tab.id);
+            if (rule.action === 'exclude') continue;
+
+            const target = existingGroups.find(g => g.title.toLowerCase() === rule.groupName.toLowerCase());
+            try {
+                if (target) {
+                    if (tab.groupId !== target.groupId) {
+                        await chrome.tabs.group({ groupId: target.groupId, tabIds: [tab.id] });
+                    }
+                    continue;
+                }
+
+                const groupId = await chrome.tabs.group({ tabIds: [tab.id] });
+                await chrome.tabGroups.update(groupId, {
+                    title: rule.groupName,
+                    ...(rule.color ? { color: rule.color } : {})
+                });
+                existingGroups.push({ groupId, title: rule.groupName, color: rule.color, tabIds: [tab.id] });
+            } catch (e) {
+                this.warn('Could not apply rule to tab', e, tab.id);
+            }
+        }
+
+        return handled;
     }
 
-    async applyGroups(groups, allTabs) {
-        // First ungroup all to start fresh
-        const tabsInGroups = allTabs.filter(t => t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
+    /**
+     * Extract page content for the engine and record which path each tab took
+     */
+    async extractContent(tabs, settings) {
+        const extractions = await extractTabContents(tabs, {
+            concurrency: settings.extractionConcurrency,
+            timeoutMs: settings.extractionTimeoutMs
+        });
+
+        const report = tabs.map(tab => ({
+            tabId: tab.id,
+            title: tab.title,
+            url: tab.url,
+            source: extractions[tab.id].source,
+            ms: extractions[tab.id].ms
+        }));
+        await chrome.storage.session.set({ [EXTRACTION_REPORT_KEY]: report });
+
+        const counts = {};
+        report.forEach(r => { counts[r.source] = (counts[r.source] || 0) + 1; });
+        console.log('[Grooopy] Content extraction:', counts);
+
+        return extractions;
+    }
+
+    /**
+     * Per-tab extraction record from the most recent run
+     */
+    async getExtractionReport() {
+        const stored = await chrome.storage.session.get(EXTRACTION_REPORT_KEY);
+        return stored[EXTRACTION_REPORT_KEY] || [];
+    }
+
+    /**
+     * Describe the tab groups in the given tabs' window, for use as seed clusters
+     */
+    async getExistingGroups(tabs) {
+        if (tabs.length === 0) return [];
+
+        const groups = await chrome.tabGroups.query({ windowId: tabs[0].windowId });
+        const pinnedIds = await this.getPinnedGroupIds();
+
+        return groups.map(group => ({
+            groupId: group.id,
+            title: group.title || '',
+            color: group.color,
+            collapsed: group.collapsed,
+            pinned: pinnedIds.includes(group.id),
+            tabIds: tabs.filter(t => t.groupId === group.id).map(t => t.id)
+        }));
+    }
+
+    /**
+     * Ids of groups the user pinned: Grooopy never moves tabs out of them.
+     * Kept in session storage since group ids don't survive a browser restart.
+     */
+    async getPinnedGroupIds() {
+        const stored = await chrome.storage.session.get(PINNED_GROUPS_KEY);
+        return stored[PINNED_GROUPS_KEY] || [];
+    }
+
+    /**
+     * Tabs that are not in a group the user pinned
+     */
+    async withoutPinnedGroups(tabs) {
+        const pinnedIds = new Set(await this.getPinnedGroupIds());
+        return tabs.filter(t => !pinnedIds.has(t.groupId));
+    }
+
+    async setGroupPinned(groupId, pinned) {
+        const current = await this.getPinnedGroupIds();
+        const next = current.filter(id => id !== groupId);
+        if (pinned) next.push(groupId);
+        await chrome.storage.session.set({ [PINNED_GROUPS_KEY]: next });
+    }
+
+    async applyGroups(groups, allTabs, options = {}) {
+        if (options.incremental) {
+            return this.applyGroupsIncrementally(groups, allTabs);
+        }
+
+        // Pinned groups keep their tabs; everything else is ungrouped to start fresh
+        const loose = new Set((await this.withoutPinnedGroups(allTabs)).map(t => t.id));
+        groups = groups.map(groupDef => ({ ...groupDef, tabIds: groupDef.tabIds.filter(id => loose.has(id)) }));
+        const tabsInGroups = allTabs.filter(t => loose.has(t.id) && t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
         if (tabsInGroups.length > 0) {
             try {
                 await chrome.tabs.ungroup(tabsInGroups.map(t => t.id));
             } catch (e) {
-                console.warn("[Grooopy] Could not ungroup some tabs:", e);
+                this.warn('Could not ungroup some tabs', e);
             }
         }
 
         // Apply new groups
+        const groupIds = new Map();
         for (const groupDef of groups) {
-            if (groupDef.tabIds.length === 0) continue;
+            groupIds.set(groupDef, await this.createGroup(groupDef));
+        }
+        await this.orderTabStrip(groups, groupIds);
+        await this.arrangeSubGroups(groups, groupIds);
+    }
+
+    /**
+     * Apply groups without tearing down existing ones: kept groups only gain
+     * or lose members, so their title, color and collapsed state survive.
+     */
+    async applyGroupsIncrementally(groups, allTabs) {
+        const currentGroupOf = new Map(allTabs.map(t => [t.id, t.groupId]));
+        const placed = new Set(groups
+            .filter(g => g.groupId !== undefined || this.shouldCreateGroup(g))
+            .flatMap(g => g.tabIds));
+
+        // Release tabs that were evicted from their group and not placed elsewhere
+        // (never from a pinned group)
+        const pinnedIds = new Set(await this.getPinnedGroupIds());
+        const released = allTabs.filter(t =>
+            t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !pinnedIds.has(t.groupId) && !placed.has(t.id));
+        if (released.length > 0) {
+            try {
+                await chrome.tabs.ungroup(released.map(t => t.id));
+            } catch (e) {
+                this.warn('Could not ungroup some tabs', e);
+            }
+        }
 
-            // Only create groups with 2+ tabs or if it's misc
-            if (groupDef.tabIds.length === 1 && groupDef.name !== 'MISC') {
-                continue; // Leave single tabs ungrouped
+        const groupIds = new Map();
+        for (const groupDef of groups) {
+            if (groupDef.groupId === undefined) {
+                groupIds.set(groupDef, await this.createGroup(groupDef));
+                continue;
             }
 
+            const additions = groupDef.tabIds.filter(id => currentGroupOf.get(id) !== groupDef.groupId);
+
             try {
-                const groupId = await chrome.tabs.group({ tabIds: groupDef.tabIds });
-                await chrome.tabGroups.update(groupId, {
-                    title: groupDef.name,
-                    color: groupDef.color
-                });
+                if (additions.length > 0) {
+                    await chrome.tabs.group({ groupId: groupDef.groupId, tabIds: additions });
+                }
+
+                // Only renamed in an edited preview plan; otherwise the title is untouched
+                const current = await chrome.tabGroups.get(groupDef.groupId);
+                if (current.title !== groupDef.name) {
+                    await chrome.tabGroups.update(groupDef.groupId, { title: groupDef.name });
+                }
+            } catch (e) {
+                this.warn('Could not extend group', e, groupDef.name);
+            }
+        }
+
+        await this.orderTabStrip(groups, groupIds);
+        await this.arrangeSubGroups(groups, groupIds);
+    }
+
+    /**
+     * Only create groups with 2+ tabs, or if it's misc or asked for by a rule
+     */
+    shouldCreateGroup(groupDef) {
+        if (groupDef.tabIds.length === 0) return false;
+        return groupDef.tabIds.length > 1 || groupDef.name === 'MISC' || groupDef.fromRule;
+    }
+
+    /**
+     * @returns {Promise<?number>} The new group's id, null if none was created
+     */
+    async createGroup(groupDef) {
+        if (!this.shouldCreateGroup(groupDef)) return null; // Leave single tabs ungrouped
+
+        try {
+            const groupId = await chrome.tabs.group({ tabIds: groupDef.tabIds });
+            await chrome.tabGroups.update(groupId, {
+                title: groupDef.name,
+                color: groupDef.color
+            });
+            return groupId;
+        } catch (e) {
+            this.warn('Could not create group', e, groupDef.name);
+            return null;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ORDERING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Move groups into the engine's order (see ordering.js) right after the
+     * window's pinned tabs, and tabs into its order within each group.
+     * The user's pinned groups keep their tabs and their order among themselves,
+     * but go first: every other group is lined up after them.
+     * 
+     * @param {Map<Object, ?number>} groupIds - Group created for each new result
+     */
+    async orderTabStrip(groups, groupIds) {
+        const { groupOrder, tabOrder } = await loadSettings();
+        if (groupOrder === 'none' && tabOrder === 'none') return;
+
+        const pinnedGroupIds = new Set(await this.getPinnedGroupIds());
+        const nextIndex = new Map(); // Window → where its next group goes
+
+        for (const groupDef of groups) {
+            const groupId = groupIds.get(groupDef) ?? groupDef.groupId;
+            if (groupId == null || pinnedGroupIds.has(groupId)) continue;
+
+            try {
+                const members = await chrome.tabs.query({ groupId });
+                if (members.length === 0) continue;
+                const windowId = members[0].windowId;
+
+                let start = Math.min(...members.map(t => t.index));
+                if (groupOrder !== 'none') {
+                    if (!nextIndex.has(windowId)) {
+                        nextIndex.set(windowId, await this.placePinnedGroupsFirst(windowId, pinnedGroupIds));
+                    }
+                    // Everything before this index is already in place, so the group only moves left
+                    start = nextIndex.get(windowId);
+                    await chrome.tabGroups.move(groupId, { index: start });
+                    nextIndex.set(windowId, start + members.length);
+                }
+
+                if (tabOrder !== 'none') {
+                    const memberIds = new Set(members.map(t => t.id));
+                    await chrome.tabs.move(groupDef.tabIds.filter(id => memberIds.has(id)), { index: start });
+                }
+            } catch (e) {
+                this.warn('Could not order group', e, groupDef.name);
+            }
+        }
+    }
+
+    /**
+     * Line up a window's pinned groups right after its pinned tabs, in their
+     * current order
+     *
+     * @returns {Promise<number>} Index right after the last of them
+     */
+    async placePinnedGroupsFirst(windowId, pinnedGroupIds) {
+        const tabs = (await chrome.tabs.query({ windowId })).sort((a, b) => a.index - b.index);
+        let index = tabs.filter(t => t.pinned).length;
+        const placed = new Set();
+
+        for (const tab of tabs) {
+            if (!pinnedGroupIds.has(tab.groupId) || placed.has(tab.groupId)) continue;
+            placed.add(tab.groupId);
+            await chrome.tabGroups.move(tab.groupId, { index });
+            index += tabs.filter(t => t.groupId === tab.groupId).length;
+        }
+        return index;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SUB-GROUPS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Put the sub-groups of each split topic (results sharing a `family`) side
+     * by side, and with collapseSubGroups on, collapse all but one of them
+     * 
+     * @param {Map<Object, ?number>} groupIds - Group created for each result
+     */
+    async arrangeSubGroups(groups, groupIds) {
+        const families = new Map();
+        for (const groupDef of groups) {
+            const groupId = groupIds.get(groupDef);
+            if (groupDef.family === undefined || groupId == null) continue;
+            if (!families.has(groupDef.family)) families.set(groupDef.family, []);
+            families.get(groupDef.family).push(groupId);
+        }
+        if (families.size === 0) return;
+
+        for (const members of families.values()) {
+            for (let i = 1; i < members.length; i++) {
+                try {
+                    await this.moveGroupAfter(members[i], members[i - 1]);
+                } catch (e) {
+                    this.warn('Could not place sub-group', e, members[i]);
+                }
+            }
+        }
+
+        await this.rememberSubGroupFamilies([...families.values()]);
+
+        const { collapseSubGroups } = await loadSettings();
+        if (!collapseSubGroups) return;
+
+        const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        for (const members of families.values()) {
+            await this.collapseSubGroups(members, members.includes(active?.groupId) ? active.groupId : members[0]);
+        }
+    }
+
+    /**
+     * Move a group to just after another one in the same window
+     */
+    async moveGroupAfter(groupId, anchorId) {
+        const anchorTabs = await chrome.tabs.query({ groupId: anchorId });
+        const movingTabs = await chrome.tabs.query({ groupId });
+        const anchorEnd = Math.max(...anchorTabs.map(t => t.index));
+        const movingStart = Math.min(...movingTabs.map(t => t.index));
+        if (movingStart === anchorEnd + 1) return;
+
+        // The index counts after the group is lifted out, which shifts it when moving right
+        const index = movingStart > anchorEnd ? anchorEnd + 1 : anchorEnd + 1 - movingTabs.length;
+        await chrome.tabGroups.move(groupId, { index });
+    }
+
+    /**
+     * Collapse every sub-group of a family except one
+     */
+    async collapseSubGroups(members, expandedGroupId) {
+        for (const groupId of members) {
+            try {
+                await chrome.tabGroups.update(groupId, { collapsed: groupId !== expandedGroupId });
             } catch (e) {
-                console.warn("[Grooopy] Could not create group:", groupDef.name, e);
+                this.warn('Could not collapse sub-group', e, groupId);
             }
         }
     }
 
+    /**
+     * Activating a tab in a sub-group collapses its siblings (collapseSubGroups only)
+     */
+    async focusSubGroup(tabId) {
+        if (this.isGrouping) return;
+
+        const { collapseSubGroups } = await loadSettings();
+        if (!collapseSubGroups) return;
+
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+
+        const families = await this.getSubGroupFamilies();
+        const members = families.find(family => family.includes(tab.groupId));
+        if (members) await this.collapseSubGroups(members, tab.groupId);
+    }
+
+    /**
+     * Group ids of each sub-group family, newest first.
+     * Kept in session storage since group ids don't survive a browser restart.
+     */
+    async getSubGroupFamilies() {
+        const stored = await chrome.storage.session.get(SUB_GROUP_FAMILIES_KEY);
+        return stored[SUB_GROUP_FAMILIES_KEY] || [];
+    }
+
+    async rememberSubGroupFamilies(families) {
+        const fresh = new Set(families.flat());
+        const kept = (await this.getSubGroupFamilies()).filter(family => !family.some(id => fresh.has(id)));
+        await chrome.storage.session.set({
+            [SUB_GROUP_FAMILIES_KEY]: [...families, ...kept].slice(0, MAX_SUB_GROUP_FAMILIES)
+        });
+    }
+
     async ungroupAll(tabs) {
         const tabsInGroups = tabs.filter(t => t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
         if (tabsInGroups.length > 0) {
+            await this.snapshotWindows([tabs[0].windowId]);
+            this.lastChangeAt = Date.now(); // The ungroup events are not user corrections
             await chrome.tabs.ungroup(tabsInGroups.map(t => t.id));
+            await this.settle([tabs[0].windowId]);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // UNDO
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Save the layout of every window a user-triggered grouping operation touches.
+     * Auto mode placements are not recorded: they would quickly push the
+     * layout the user actually wants back out of the short history.
+     */
+    async snapshotWindows(windowIds) {
+        if (windowIds.length === 0) return;
+        const snapshot = await this.captureLayout(windowIds);
+        if (snapshot) await this.storeSnapshot(snapshot);
+    }
+
+    /**
+     * Layout of some windows for the undo history, null if it couldn't be read
+     */
+    async captureLayout(windowIds) {
+        try {
+            return await captureSnapshot(windowIds);
+        } catch (e) {
+            console.warn("[Grooopy] Could not snapshot layout:", e);
+            return null;
+        }
+    }
+
+    async storeSnapshot(snapshot) {
+        try {
+            await pushSnapshot(snapshot);
+        } catch (e) {
+            console.warn("[Grooopy] Could not save layout snapshot:", e);
+        }
+    }
+
+    /**
+     * Restore the layout from before the most recent grouping operation
+     * 
+     * @returns {Promise<'ok'|'empty'|'busy'>}
+     */
+    async undoLast() {
+        if (this.isGrouping) return 'busy';
+        this.isGrouping = true;
+
+        try {
+            // Popped only once restored, so a failed undo can be tried again
+            const snapshot = await peekSnapshot();
+            if (!snapshot) return 'empty';
+
+            const groupIdMap = await restoreSnapshot(snapshot);
+            await popSnapshot();
+
+            // Pins follow their group to its recreated id
+            const pinned = await this.getPinnedGroupIds();
+            for (const id of pinned) {
+                if (groupIdMap.has(id)) await this.setGroupPinned(groupIdMap.get(id), true);
+            }
+
+            return 'ok';
+        } finally {
+            await this.settle(await this.getNormalWindowIds());
+            this.isGrouping = false;
+        }
+    }
+
+    /**
+     * Mark the end of a change Grooopy made to some windows: their groups become
+     * the baseline user corrections are measured against (see correctionTracker.js)
+     */
+    async settle(windowIds) {
+        try {
+            await snapshotGroups(windowIds);
+        } catch (e) {
+            console.warn("[Grooopy] Could not snapshot groups:", e);
         }
+        this.lastChangeAt = Date.now();
     }
 }
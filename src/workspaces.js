@@ -0,0 +1,125 @@
+/**
+ * Grooopy Workspaces
+ * Named snapshots of a window's groups the user can reopen later (e.g.
+ * "Sprint 42 research"). Kept in chrome.storage.local: a workspace holds
+ * every tab URL, which would quickly outgrow the sync quota.
+ *
+ * Workspace shape:
+ *   {
+ *     id: string,
+ *     name: string,
+ *     savedAt: number,
+ *     groups: {
+ *       name: string, color: string, collapsed: boolean,
+ *       tabs: { url: string, title: string }[]
+ *     }[]
+ *   }
+ */
+
+import { GROUP_COLORS } from './rules.js';
+
+const STORAGE_KEY = 'workspaces';
+
+/**
+ * Saved workspaces, most recent first
+ */
+export async function loadWorkspaces() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || [];
+}
+
+/**
+ * Save a workspace; one with the same name is replaced
+ */
+export async function addWorkspace(name, groups) {
+    const workspace = { id: createWorkspaceId(), name, savedAt: Date.now(), groups };
+    const workspaces = await loadWorkspaces();
+    await storeWorkspaces([workspace, ...workspaces.filter(w => w.name !== name)]);
+    return workspace;
+}
+
+export async function renameWorkspace(id, name) {
+    const workspaces = await loadWorkspaces();
+    await storeWorkspaces(workspaces.map(w => w.id === id ? { ...w, name } : w));
+}
+
+export async function deleteWorkspace(id) {
+    const workspaces = await loadWorkspaces();
+    await storeWorkspaces(workspaces.filter(w => w.id !== id));
+}
+
+/**
+ * Add imported workspaces; an imported workspace replaces a saved one of the same name
+ *
+ * @returns {Promise<number>} How many were imported
+ */
+export async function importWorkspaces(imported) {
+    const valid = validateWorkspaces(imported);
+    const names = new Set(valid.map(w => w.name));
+    const workspaces = await loadWorkspaces();
+    await storeWorkspaces([...valid, ...workspaces.filter(w => !names.has(w.name))]);
+    return valid.length;
+}
+
+/**
+ * Check workspaces from an imported file
+ * Throws with a message naming the offending workspace; gives each a fresh id.
+ */
+export function validateWorkspaces(workspaces) {
+    if (!Array.isArray(workspaces)) {
+        throw new Error('Workspaces must be a JSON array');
+    }
+
+    return workspaces.map((workspace, i) => {
+        const label = `Workspace ${i + 1}`;
+        if (!workspace || typeof workspace !== 'object') throw new Error(`${label}: not an object`);
+        if (!workspace.name || typeof workspace.name !== 'string') throw new Error(`${label}: name is required`);
+        if (!Array.isArray(workspace.groups)) throw new Error(`${label}: groups must be an array`);
+
+        const groups = workspace.groups.map((group, j) => {
+            const groupLabel = `${label}, group ${j + 1}`;
+            if (!group || !Array.isArray(group.tabs)) throw new Error(`${groupLabel}: tabs must be an array`);
+            if (group.color && !GROUP_COLORS.includes(group.color)) throw new Error(`${groupLabel}: unknown color "${group.color}"`);
+            if (group.tabs.some(tab => !tab || typeof tab.url !== 'string' || !tab.url)) {
+                throw new Error(`${groupLabel}: every tab needs a URL`);
+            }
+            const unsafe = group.tabs.find(tab => !isWebUrl(tab.url));
+            if (unsafe) throw new Error(`${groupLabel} of "${workspace.name}": only http(s) pages can be restored, not "${unsafe.url}"`);
+
+            return {
+                name: typeof group.name === 'string' ? group.name : '',
+                color: group.color || 'grey',
+                collapsed: group.collapsed === true,
+                tabs: group.tabs.map(tab => ({ url: tab.url, title: typeof tab.title === 'string' ? tab.title : '' }))
+            };
+        });
+
+        return {
+            id: createWorkspaceId(),
+            name: workspace.name,
+            savedAt: Number.isFinite(workspace.savedAt) ? workspace.savedAt : Date.now(),
+            groups
+        };
+    });
+}
+
+/**
+ * Whether a URL may go into a workspace: restoring opens every URL, and
+ * imported files are untrusted, so javascript:, data:, file: and browser or
+ * extension pages stay out
+ */
+export function isWebUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function createWorkspaceId() {
+    return `workspace-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+async function storeWorkspaces(workspaces) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: workspaces });
+}